@@ -150,74 +150,203 @@ const applyMove = (currentBoard, currentHands, move, currentTurn) => {
   return { board: newBoard, hands: newHands, turn: nextTurn };
 };
 
-// 王手判定
-const isKingInCheck = (board, targetTurn) => {
-  const attackerTurn = targetTurn === 'sente' ? 'gote' : 'sente';
-  let kingPos = null;
+// --- 駒の利きテーブル ---
+// 王手・合法手の判定は盤全体を総当たりせず、駒ごとの方向表から必要なマスだけを調べる
+// 方向は先手から見た [dx, dy] (dy < 0 が前)。steps は1マスだけ、slides は駒に当たるまで進める
+const DIAGONALS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+const ORTHOGONALS = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+const GOLD_STEPS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [0, 1]];
+
+const PIECE_MOVES = {
+  Pawn: { steps: [[0, -1]], slides: [] },
+  Lance: { steps: [], slides: [[0, -1]] },
+  Knight: { steps: [[-1, -2], [1, -2]], slides: [] },
+  Silver: { steps: [[-1, -1], [0, -1], [1, -1], [-1, 1], [1, 1]], slides: [] },
+  Gold: { steps: GOLD_STEPS, slides: [] },
+  King: { steps: [...DIAGONALS, ...ORTHOGONALS], slides: [] },
+  Bishop: { steps: [], slides: DIAGONALS },
+  Rook: { steps: [], slides: ORTHOGONALS },
+  PromotedPawn: { steps: GOLD_STEPS, slides: [] },
+  PromotedLance: { steps: GOLD_STEPS, slides: [] },
+  PromotedKnight: { steps: GOLD_STEPS, slides: [] },
+  PromotedSilver: { steps: GOLD_STEPS, slides: [] },
+  Horse: { steps: ORTHOGONALS, slides: DIAGONALS },
+  Dragon: { steps: DIAGONALS, slides: ORTHOGONALS }
+};
 
-  for (let y = 0; y < 9; y++) {
-    for (let x = 0; x < 9; x++) {
-      const p = board[y][x];
-      if (p && p.type === 'King' && p.owner === targetTurn) {
-        kingPos = { x, y };
+// 方向 → 0..24 の番号 (stepSet / slideSet で「その方向に利くか」を引くため)
+const dirIndex = (dx, dy) => (dy + 2) * 5 + (dx + 2);
+
+// 手番ごとに向きを反映した表 (後手は dy を反転)
+const buildMoveTable = (flip) => Object.fromEntries(Object.entries(PIECE_MOVES).map(([type, { steps, slides }]) => {
+  const orient = ([dx, dy]) => [dx, flip ? -dy : dy];
+  const entry = { steps: steps.map(orient), slides: slides.map(orient), stepSet: Array(25).fill(false), slideSet: Array(25).fill(false) };
+  entry.steps.forEach(([dx, dy]) => { entry.stepSet[dirIndex(dx, dy)] = true; });
+  entry.slides.forEach(([dx, dy]) => { entry.slideSet[dirIndex(dx, dy)] = true; });
+  return [type, entry];
+}));
+
+const MOVE_TABLES = { sente: buildMoveTable(false), gote: buildMoveTable(true) };
+
+const getMoveEntry = (piece) => MOVE_TABLES[piece.owner][piece.isPromoted ? promotePiece(piece.type) : piece.type];
+
+const opponentOf = (turn) => (turn === 'sente' ? 'gote' : 'sente');
+
+const isOnBoard = (x, y) => x >= 0 && x < 9 && y >= 0 && y < 9;
+
+// (x, y) に attacker の駒が利いているか
+// マスから8方向に最初に当たる駒と、桂馬の位置だけを調べる
+const isSquareAttacked = (board, x, y, attacker) => {
+  for (let d = 0; d < 8; d++) {
+    const [dx, dy] = d < 4 ? DIAGONALS[d] : ORTHOGONALS[d - 4];
+    const back = dirIndex(-dx, -dy); // 駒から見た (x, y) の方向
+    let cx = x + dx;
+    let cy = y + dy;
+    let adjacent = true;
+    while (isOnBoard(cx, cy)) {
+      const p = board[cy][cx];
+      if (p) {
+        if (p.owner === attacker) {
+          const entry = getMoveEntry(p);
+          if (entry.slideSet[back] || (adjacent && entry.stepSet[back])) return true;
+        }
         break;
       }
+      cx += dx;
+      cy += dy;
+      adjacent = false;
     }
-    if (kingPos) break;
   }
-  if (!kingPos) return false;
+  const forward = attacker === 'sente' ? -1 : 1;
+  for (const dx of [-1, 1]) {
+    const kx = x - dx;
+    const ky = y - forward * 2;
+    if (!isOnBoard(kx, ky)) continue;
+    const p = board[ky][kx];
+    if (p && p.owner === attacker && p.type === 'Knight' && !p.isPromoted) return true;
+  }
+  return false;
+};
 
+const findKing = (board, turn) => {
   for (let y = 0; y < 9; y++) {
     for (let x = 0; x < 9; x++) {
       const p = board[y][x];
-      if (p && p.owner === attackerTurn) {
-        if (canPieceMoveTo(board, {x, y}, kingPos, p, attackerTurn)) {
-          return true;
-        }
-      }
+      if (p && p.type === 'King' && p.owner === turn) return { x, y };
     }
   }
+  return null;
+};
+
+// 王手判定
+const isKingInCheck = (board, targetTurn) => {
+  const king = findKing(board, targetTurn);
+  if (!king) return false;
+  return isSquareAttacked(board, king.x, king.y, opponentOf(targetTurn));
+};
+
+// 指した後に自玉が取られないか (盤を直接書き換えて調べ、元に戻す。成りは利きの判定に関係しない)
+const leavesKingSafe = (board, move, turn) => {
+  const { from, to } = move;
+  const captured = board[to.y][to.x];
+  const moving = move.drop ? { type: move.piece, owner: turn, isPromoted: false } : board[from.y][from.x];
+  if (!move.drop) board[from.y][from.x] = null;
+  board[to.y][to.x] = moving;
+  const safe = !isKingInCheck(board, turn);
+  board[to.y][to.x] = captured;
+  if (!move.drop) board[from.y][from.x] = moving;
+  return safe;
+};
+
+// 行き所のない駒 (成らずに進めない・打てないマス)
+const isDeadEnd = (type, turn, y) => {
+  const lastRank = turn === 'sente' ? y : 8 - y;
+  if (type === 'Pawn' || type === 'Lance') return lastRank === 0;
+  if (type === 'Knight') return lastRank <= 1;
+  return false;
+};
+
+const hasOwnPawnOnFile = (board, turn, x) => {
+  for (let y = 0; y < 9; y++) {
+    const p = board[y][x];
+    if (p && p.owner === turn && p.type === 'Pawn' && !p.isPromoted) return true;
+  }
   return false;
 };
 
-// ★追加: 詰み判定 (合法手があるかチェック)
-const hasLegalMoves = (board, hands, turn) => {
+// 打ち歩詰めか (to に歩を打つと相手玉に王手がかかり、相手に合法手がない)
+const isUchifuzume = (board, hands, turn, to) => {
+  const opponent = opponentOf(turn);
+  const aheadY = to.y + (turn === 'sente' ? -1 : 1);
+  const ahead = isOnBoard(to.x, aheadY) ? board[aheadY][to.x] : null;
+  if (!ahead || ahead.type !== 'King' || ahead.owner !== opponent) return false;
+  board[to.y][to.x] = { type: 'Pawn', owner: turn, isPromoted: false };
+  const mated = !hasLegalMoves(board, hands, opponent);
+  board[to.y][to.x] = null;
+  return mated;
+};
+
+// ★追加: 合法手の生成 (成り・不成の両方と持ち駒を打つ手を含む)
+// 指し手は move イベントと同じ形 { from, to, piece, drop, isPromoted }
+// visit が true を返したらそこで打ち切る
+const PROMOTABLE_TYPES = ['Pawn', 'Lance', 'Knight', 'Silver', 'Bishop', 'Rook'];
+const HAND_PIECE_TYPES = ['Rook', 'Bishop', 'Gold', 'Silver', 'Knight', 'Lance', 'Pawn'];
+
+const forEachLegalMove = (board, hands, turn, visit, checkUchiFuzume = true) => {
+  const isZone = (y) => (turn === 'sente' ? y <= 2 : y >= 6);
+
   // 1. 盤上の駒
   for (let y = 0; y < 9; y++) {
     for (let x = 0; x < 9; x++) {
       const p = board[y][x];
-      if (p && p.owner === turn) {
-        for (let ty = 0; ty < 9; ty++) {
-          for (let tx = 0; tx < 9; tx++) {
-            if (board[ty][tx] && board[ty][tx].owner === turn) continue;
-            if (!canPieceMoveTo(board, {x, y}, {x: tx, y: ty}, p, turn)) continue;
-
-            const move = { from: {x, y}, to: {x: tx, y: ty}, piece: p.type, drop: false, isPromoted: false };
-            if (isValidMove(board, hands, turn, move, false)) return true;
-
-            const canPromote = ['Pawn', 'Lance', 'Knight', 'Silver', 'Bishop', 'Rook'].includes(p.type);
-            if (canPromote) {
-               const isZone = (turn === 'sente' ? (y <= 2 || ty <= 2) : (y >= 6 || ty >= 6));
-               if (isZone) {
-                  if (isValidMove(board, hands, turn, { ...move, isPromoted: true }, false)) return true;
-               }
-            }
-          }
+      if (!p || p.owner !== turn) continue;
+      const entry = getMoveEntry(p);
+      const canPromote = PROMOTABLE_TYPES.includes(p.type) && !p.isPromoted;
+
+      // (tx, ty) への手を試す。打ち切るなら true
+      const tryTarget = (tx, ty) => {
+        const move = { from: { x, y }, to: { x: tx, y: ty }, piece: p.type, drop: false, isPromoted: false };
+        if (!leavesKingSafe(board, move, turn)) return false;
+        if (canPromote && (isZone(y) || isZone(ty)) && visit({ ...move, from: { x, y }, to: { x: tx, y: ty }, isPromoted: true })) return true;
+        return !isDeadEnd(p.type, turn, ty) && visit(move);
+      };
+
+      for (const [dx, dy] of entry.steps) {
+        const tx = x + dx;
+        const ty = y + dy;
+        if (!isOnBoard(tx, ty)) continue;
+        const target = board[ty][tx];
+        if (target && target.owner === turn) continue;
+        if (tryTarget(tx, ty)) return true;
+      }
+      for (const [dx, dy] of entry.slides) {
+        let tx = x + dx;
+        let ty = y + dy;
+        while (isOnBoard(tx, ty)) {
+          const target = board[ty][tx];
+          if (target && target.owner === turn) break;
+          if (tryTarget(tx, ty)) return true;
+          if (target) break;
+          tx += dx;
+          ty += dy;
         }
       }
     }
   }
 
-  // 2. 持ち駒
+  // 2. 持ち駒 (王手されていなければ打つ手で自玉が取られることはない)
   const hand = hands[turn];
-  for (const pieceType of Object.keys(hand)) {
-    if (hand[pieceType] > 0) {
+  const inCheck = isKingInCheck(board, turn);
+  for (const pieceType of HAND_PIECE_TYPES) {
+    if (!(hand[pieceType] > 0)) continue;
+    for (let tx = 0; tx < 9; tx++) {
+      if (pieceType === 'Pawn' && hasOwnPawnOnFile(board, turn, tx)) continue;
       for (let ty = 0; ty < 9; ty++) {
-        for (let tx = 0; tx < 9; tx++) {
-          if (board[ty][tx] !== null) continue;
-          const move = { from: 'hand', to: {x: tx, y: ty}, piece: pieceType, drop: true, isPromoted: false };
-          if (isValidMove(board, hands, turn, move, false)) return true;
-        }
+        if (board[ty][tx] !== null || isDeadEnd(pieceType, turn, ty)) continue;
+        const move = { from: 'hand', to: { x: tx, y: ty }, piece: pieceType, drop: true, isPromoted: false };
+        if (inCheck && !leavesKingSafe(board, move, turn)) continue;
+        if (checkUchiFuzume && pieceType === 'Pawn' && isUchifuzume(board, hands, turn, move.to)) continue;
+        if (visit(move)) return true;
       }
     }
   }
@@ -225,6 +354,9 @@ const hasLegalMoves = (board, hands, turn) => {
   return false;
 };
 
+// ★追加: 詰み判定 (合法手があるかチェック)
+const hasLegalMoves = (board, hands, turn) => forEachLegalMove(board, hands, turn, () => true, false);
+
 // ★修正: isValidMove (checkUchiFuzume対応)
 const isValidMove = (board, hands, currentTurn, move, checkUchiFuzume = true) => {
   const { from, to, piece, drop, isPromoted } = move;
@@ -233,66 +365,63 @@ const isValidMove = (board, hands, currentTurn, move, checkUchiFuzume = true) =>
   const targetPiece = board[to.y][to.x];
   if (targetPiece && targetPiece.owner === currentTurn) return false;
 
-  if (!drop && !isPromoted) {
-     if (currentTurn === 'sente') {
-        if (piece === 'Pawn' || piece === 'Lance') { if (to.y === 0) return false; }
-        if (piece === 'Knight') { if (to.y <= 1) return false; }
-     } else {
-        if (piece === 'Pawn' || piece === 'Lance') { if (to.y === 8) return false; }
-        if (piece === 'Knight') { if (to.y >= 7) return false; }
-     }
-  }
-
   let isMoveOk = false;
   if (drop) {
     if (targetPiece !== null) return false;
     if (hands[currentTurn][piece] <= 0) return false;
-    if (piece === 'Pawn') {
-      for (let y = 0; y < 9; y++) {
-        const p = board[y][to.x];
-        if (p && p.owner === currentTurn && p.type === 'Pawn' && !p.isPromoted) return false;
-      }
-    }
-    if (currentTurn === 'sente') {
-      if ((piece === 'Pawn' || piece === 'Lance') && to.y === 0) return false;
-      if (piece === 'Knight' && to.y <= 1) return false;
-    } else {
-      if ((piece === 'Pawn' || piece === 'Lance') && to.y === 8) return false;
-      if (piece === 'Knight' && to.y >= 7) return false;
-    }
+    if (piece === 'Pawn' && hasOwnPawnOnFile(board, currentTurn, to.x)) return false;
+    if (isDeadEnd(piece, currentTurn, to.y)) return false;
     isMoveOk = true;
   } else {
     if (typeof from !== 'object') return false;
     const movingPiece = board[from.y][from.x];
     if (!movingPiece || movingPiece.owner !== currentTurn) return false;
+    if (isPromoted) {
+      // 成れるのはまだ成っていない成れる駒が、敵陣に入る・敵陣から出る・敵陣の中で動くときだけ
+      const isZone = (y) => (currentTurn === 'sente' ? y <= 2 : y >= 6);
+      if (movingPiece.isPromoted || !PROMOTABLE_TYPES.includes(movingPiece.type) || !(isZone(from.y) || isZone(to.y))) return false;
+    } else if (isDeadEnd(movingPiece.type, currentTurn, to.y)) {
+      // 行き所のない駒になる不成 (判定は盤上の駒で行う)
+      return false;
+    }
     isMoveOk = canPieceMoveTo(board, from, to, movingPiece, currentTurn);
   }
 
   if (!isMoveOk) return false;
 
-  const nextState = applyMove(board, hands, move, currentTurn);
-  if (isKingInCheck(nextState.board, currentTurn)) {
-    return false;
-  }
+  if (!leavesKingSafe(board, move, currentTurn)) return false;
 
   // ★追加: 打ち歩詰め判定
-  if (checkUchiFuzume && drop && piece === 'Pawn') {
-    const nextTurn = currentTurn === 'sente' ? 'gote' : 'sente';
-    if (isKingInCheck(nextState.board, nextTurn)) {
-      if (!hasLegalMoves(nextState.board, nextState.hands, nextTurn)) {
-        return false;
-      }
-    }
-  }
+  if (checkUchiFuzume && drop && piece === 'Pawn' && isUchifuzume(board, hands, currentTurn, to)) return false;
 
   return true;
 };
 
+const generateLegalMoves = (board, hands, turn) => {
+  const moves = [];
+  forEachLegalMove(board, hands, turn, (move) => { moves.push(move); });
+  return moves;
+};
+
+// ★追加: perft (指定の深さまでの末端局面数。指し手生成の検証用)
+// position は createStartPosition と同じ { board, hands, turn }
+const perft = (position, depth) => {
+  if (depth <= 0) return 1;
+  const moves = generateLegalMoves(position.board, position.hands, position.turn);
+  if (depth === 1) return moves.length;
+  let nodes = 0;
+  for (const move of moves) {
+    nodes += perft(applyMove(position.board, position.hands, move, position.turn), depth - 1);
+  }
+  return nodes;
+};
+
 // ★追加: 詰み判定
 const isCheckmate = (board, hands, turn) => {
   return isKingInCheck(board, turn) && !hasLegalMoves(board, hands, turn);
 };
 
+// 千日手判定用の内部局面キー (標準SFENではない。外部連携には toSFEN を使う)
 const generateSFEN = (board, turn, hands) => {
   let sfen = "";
   for (let y = 0; y < 9; y++) {
@@ -313,6 +442,217 @@ const generateSFEN = (board, turn, hands) => {
   return sfen;
 };
 
+// --- 局面ハッシュ (Zobrist) ---
+// 千日手判定用。1手ごとに差分で更新できる 64bit 値を16進文字列で扱う
+// 乱数は固定シードで作るので、DBに保存したハッシュは再起動後もそのまま使える
+const MASK64 = (1n << 64n) - 1n;
+let zobristState = 0x9e3779b97f4a7c15n;
+const nextZobristKey = () => {
+  // xorshift64
+  zobristState ^= (zobristState << 13n) & MASK64;
+  zobristState ^= zobristState >> 7n;
+  zobristState ^= (zobristState << 17n) & MASK64;
+  return zobristState;
+};
+
+const MAX_HAND_COUNT = 18;
+const ZOBRIST_BOARD = {};
+const ZOBRIST_HAND = {};
+for (const owner of ['sente', 'gote']) {
+  ZOBRIST_BOARD[owner] = Object.fromEntries(Object.keys(PIECE_TYPES).map(type => [type, Array.from({ length: 81 }, nextZobristKey)]));
+  // 枚数ごとのキー (0枚は 0 にして、持ち駒がなければハッシュに影響しないようにする)
+  ZOBRIST_HAND[owner] = Object.fromEntries(HAND_PIECE_TYPES.map(type => [type, [0n, ...Array.from({ length: MAX_HAND_COUNT }, nextZobristKey)]]));
+}
+const ZOBRIST_GOTE_TO_MOVE = nextZobristKey();
+
+// 盤上の駒の実際の種類 (成り駒は成った後の種類)
+const boardPieceType = (p) => (p.isPromoted ? promotePiece(p.type) : p.type);
+const boardKey = (owner, type, x, y) => ZOBRIST_BOARD[owner][type][y * 9 + x];
+const handKey = (owner, type, count) => (ZOBRIST_HAND[owner][type] && ZOBRIST_HAND[owner][type][count]) || 0n;
+const toHashString = (hash) => hash.toString(16).padStart(16, '0');
+
+// 局面全体からハッシュを求める
+const getPositionHash = (board, hands, turn) => {
+  let hash = turn === 'gote' ? ZOBRIST_GOTE_TO_MOVE : 0n;
+  for (let y = 0; y < 9; y++) {
+    for (let x = 0; x < 9; x++) {
+      const p = board[y][x];
+      if (p) hash ^= boardKey(p.owner, boardPieceType(p), x, y);
+    }
+  }
+  for (const owner of ['sente', 'gote']) {
+    for (const type of HAND_PIECE_TYPES) hash ^= handKey(owner, type, hands[owner][type] || 0);
+  }
+  return toHashString(hash);
+};
+
+// 1手指した後のハッシュを差分で求める (board / hands / turn は指す前の局面。applyMove と同じ結果になる)
+const updatePositionHash = (hash, board, hands, move, turn) => {
+  let next = BigInt(`0x${hash}`) ^ ZOBRIST_GOTE_TO_MOVE;
+  const { to } = move;
+  if (move.drop) {
+    const count = hands[turn][move.piece];
+    next ^= handKey(turn, move.piece, count) ^ handKey(turn, move.piece, count - 1);
+    next ^= boardKey(turn, move.piece, to.x, to.y);
+  } else {
+    const piece = board[move.from.y][move.from.x];
+    const captured = board[to.y][to.x];
+    next ^= boardKey(piece.owner, boardPieceType(piece), move.from.x, move.from.y);
+    if (captured) {
+      next ^= boardKey(captured.owner, boardPieceType(captured), to.x, to.y);
+      const capturedType = getReversePieceType(captured.type);
+      const count = hands[turn][capturedType];
+      next ^= handKey(turn, capturedType, count) ^ handKey(turn, capturedType, count + 1);
+    }
+    const movedType = move.isPromoted || piece.isPromoted ? promotePiece(piece.type) : piece.type;
+    next ^= boardKey(piece.owner, movedType, to.x, to.y);
+  }
+  return toHashString(next);
+};
+
+// ★追加: 開始局面の生成 (指定局面があれば複製、なければ平手)
+const createStartPosition = (startPosition) => {
+  if (!startPosition) {
+    return { board: createInitialBoard(), hands: { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } }, turn: 'sente' };
+  }
+  return {
+    board: startPosition.board.map(row => row.map(p => p ? { ...p } : null)),
+    hands: { sente: { ...EMPTY_HAND, ...startPosition.hands.sente }, gote: { ...EMPTY_HAND, ...startPosition.hands.gote } },
+    turn: startPosition.turn
+  };
+};
+
+// ★追加: 駒落ちの手合割 (上手 = 後手の駒を取り除き、上手から指す)
+const HANDICAPS = {
+  lance: { name: '香落ち', remove: [[8, 0]] },
+  bishop: { name: '角落ち', remove: [[7, 1]] },
+  rook: { name: '飛車落ち', remove: [[1, 1]] },
+  rook_lance: { name: '飛香落ち', remove: [[1, 1], [8, 0]] },
+  two: { name: '二枚落ち', remove: [[1, 1], [7, 1]] },
+  four: { name: '四枚落ち', remove: [[1, 1], [7, 1], [0, 0], [8, 0]] },
+  six: { name: '六枚落ち', remove: [[1, 1], [7, 1], [0, 0], [8, 0], [1, 0], [7, 0]] },
+  eight: { name: '八枚落ち', remove: [[1, 1], [7, 1], [0, 0], [8, 0], [1, 0], [7, 0], [2, 0], [6, 0]] },
+  ten: { name: '十枚落ち', remove: [[1, 1], [7, 1], [0, 0], [8, 0], [1, 0], [7, 0], [2, 0], [6, 0], [3, 0], [5, 0]] }
+};
+
+// 駒落ちの開始局面 (平手・不明な指定なら null)
+const createHandicapPosition = (handicap) => {
+  const preset = HANDICAPS[handicap];
+  if (!preset) return null;
+  const board = createInitialBoard();
+  preset.remove.forEach(([x, y]) => { board[y][x] = null; });
+  return { board, hands: { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } }, turn: 'gote' };
+};
+
+// 開始局面がどの駒落ちか (該当しなければ null)
+const detectHandicap = (startPosition) => {
+  if (!startPosition) return null;
+  const key = generateSFEN(startPosition.board, startPosition.turn, createStartPosition(startPosition).hands);
+  return Object.keys(HANDICAPS).find(h => {
+    const preset = createHandicapPosition(h);
+    return generateSFEN(preset.board, preset.turn, preset.hands) === key;
+  }) || null;
+};
+
+// ★追加: 標準SFEN (USI) の生成・読み込み
+const SFEN_TO_TYPE = Object.fromEntries(Object.entries(SFEN_MAP).map(([type, ch]) => [ch, type]));
+const USI_RANKS = 'abcdefghi';
+const SFEN_HAND_ORDER = ['Rook', 'Bishop', 'Gold', 'Silver', 'Knight', 'Lance', 'Pawn'];
+
+const toSFEN = (board, hands, turn, moveNumber = 1) => {
+  const rows = board.map((row) => {
+    let str = '';
+    let empty = 0;
+    for (const p of row) {
+      if (!p) { empty++; continue; }
+      if (empty > 0) { str += empty; empty = 0; }
+      const ch = SFEN_MAP[p.type];
+      str += p.owner === 'sente' ? ch.toUpperCase() : ch;
+    }
+    return empty > 0 ? str + empty : str;
+  });
+
+  let handStr = '';
+  for (const owner of ['sente', 'gote']) {
+    for (const type of SFEN_HAND_ORDER) {
+      const count = hands[owner][type] || 0;
+      if (count === 0) continue;
+      const ch = owner === 'sente' ? SFEN_MAP[type].toUpperCase() : SFEN_MAP[type];
+      handStr += (count > 1 ? count : '') + ch;
+    }
+  }
+
+  return `${rows.join('/')} ${turn === 'sente' ? 'b' : 'w'} ${handStr || '-'} ${moveNumber}`;
+};
+
+const fromSFEN = (sfen) => {
+  const parts = String(sfen).trim().split(/\s+/);
+  if (parts[0] === 'sfen') parts.shift();
+  const [boardStr, turnStr, handStr, moveNumberStr] = parts;
+  if (!boardStr || !turnStr || !handStr) throw new Error(`Invalid SFEN: ${sfen}`);
+
+  const rows = boardStr.split('/');
+  if (rows.length !== 9) throw new Error(`Invalid SFEN board: ${boardStr}`);
+  const board = Array(9).fill(null).map(() => Array(9).fill(null));
+  rows.forEach((row, y) => {
+    let x = 0;
+    let promoted = false;
+    for (const ch of row) {
+      if (ch >= '1' && ch <= '9' && !promoted) { x += Number(ch); continue; }
+      if (ch === '+' && !promoted) { promoted = true; continue; }
+      const type = SFEN_TO_TYPE[(promoted ? '+' : '') + ch.toLowerCase()];
+      if (!type || x > 8) throw new Error(`Invalid SFEN board: ${boardStr}`);
+      board[y][x] = { type, owner: ch === ch.toUpperCase() ? 'sente' : 'gote', isPromoted: promoted };
+      x++;
+      promoted = false;
+    }
+    if (x !== 9) throw new Error(`Invalid SFEN board: ${boardStr}`);
+  });
+
+  if (turnStr !== 'b' && turnStr !== 'w') throw new Error(`Invalid SFEN turn: ${turnStr}`);
+  const turn = turnStr === 'b' ? 'sente' : 'gote';
+
+  const hands = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
+  if (handStr !== '-') {
+    const re = /(\d*)([PLNSGBRplnsgbr])/gy;
+    let m;
+    let consumed = 0;
+    while ((m = re.exec(handStr)) !== null) {
+      const type = SFEN_TO_TYPE[m[2].toLowerCase()];
+      hands[m[2] === m[2].toUpperCase() ? 'sente' : 'gote'][type] += m[1] ? Number(m[1]) : 1;
+      consumed = re.lastIndex;
+    }
+    if (consumed !== handStr.length) throw new Error(`Invalid SFEN hands: ${handStr}`);
+  }
+
+  return { board, hands, turn, moveNumber: Number(moveNumberStr) || 1 };
+};
+
+// ★追加: 内部の指し手オブジェクト → USI形式の指し手 (7g7f, P*5e, 8h2b+)
+const toUsiMove = (move) => {
+  const to = `${9 - move.to.x}${USI_RANKS[move.to.y]}`;
+  if (move.drop) return `${SFEN_MAP[move.piece].toUpperCase()}*${to}`;
+  const from = `${9 - move.from.x}${USI_RANKS[move.from.y]}`;
+  const promotes = move.isPromoted && promotePiece(move.piece) !== move.piece;
+  return `${from}${to}${promotes ? '+' : ''}`;
+};
+
+// ★追加: USI形式の指し手 (7g7f, P*5e, 8h2b+) → 内部の指し手オブジェクト
+const fromUsiMove = (usi, board) => {
+  const dropMatch = /^([PLNSGBR])\*([1-9])([a-i])$/.exec(usi);
+  if (dropMatch) {
+    const to = { x: 9 - Number(dropMatch[2]), y: USI_RANKS.indexOf(dropMatch[3]) };
+    return { from: 'hand', to, piece: SFEN_TO_TYPE[dropMatch[1].toLowerCase()], drop: true, isPromoted: false };
+  }
+  const moveMatch = /^([1-9])([a-i])([1-9])([a-i])(\+)?$/.exec(usi);
+  if (!moveMatch) return null;
+  const from = { x: 9 - Number(moveMatch[1]), y: USI_RANKS.indexOf(moveMatch[2]) };
+  const to = { x: 9 - Number(moveMatch[3]), y: USI_RANKS.indexOf(moveMatch[4]) };
+  const piece = board[from.y][from.x];
+  if (!piece) return null;
+  return { from, to, piece: piece.type, drop: false, isPromoted: !!moveMatch[5] };
+};
+
 // ★追加: 入玉判定ロジック（サーバー版）
 const PIECE_POINTS_VALS = {
   Pawn: 1, Lance: 1, Knight: 1, Silver: 1, Gold: 1, Bishop: 5, Rook: 5, King: 0,
@@ -320,7 +660,8 @@ const PIECE_POINTS_VALS = {
   Horse: 5, Dragon: 5
 };
 
-const getNyugyokuState = (board, hands, player) => {
+// rule: '27' (27点法: 先手28点・後手27点以上で勝ち) / '24' (24点法: 24点以上で宣言可、31点以上で勝ち)
+const getNyugyokuState = (board, hands, player, rule = '27') => {
   let score = 0;
   let piecesInZone = 0;
   let kingInZone = false;
@@ -348,7 +689,7 @@ const getNyugyokuState = (board, hands, player) => {
       score += hand[type] * (PIECE_POINTS_VALS[type] || 0);
     }
   }
-  const requiredScore = player === 'sente' ? 28 : 27;
+  const requiredScore = rule === '24' ? 24 : (player === 'sente' ? 28 : 27);
   const canDeclare = kingInZone && piecesInZone >= 10 && score >= requiredScore;
   return { score, piecesInZone, kingInZone, canDeclare, requiredScore };
 };
@@ -357,9 +698,22 @@ module.exports = {
   createInitialBoard,
   isValidMove,
   applyMove,
+  promotePiece,
   generateSFEN,
+  getPositionHash,
+  updatePositionHash,
+  createStartPosition,
+  HANDICAPS,
+  createHandicapPosition,
+  detectHandicap,
+  toSFEN,
+  fromSFEN,
+  toUsiMove,
+  fromUsiMove,
   isKingInCheck,
   isCheckmate,
+  generateLegalMoves,
+  perft,
   getNyugyokuState, // ★追加
   EMPTY_HAND
 };
\ No newline at end of file
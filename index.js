@@ -1,6 +1,13 @@
+const http = require('http');
+const crypto = require('crypto');
 const { Server } = require("socket.io");
 const Database = require('better-sqlite3');
-const { createInitialBoard, isValidMove, applyMove, generateSFEN, isKingInCheck, isCheckmate, EMPTY_HAND } = require('./gameUtils');
+const { createInitialBoard, createStartPosition, createHandicapPosition, isValidMove, applyMove, getPositionHash, updatePositionHash, toSFEN, fromSFEN, toUsiMove, fromUsiMove, isKingInCheck, isCheckmate, getNyugyokuState, EMPTY_HAND } = require('./gameUtils');
+const { exportKifu, importKifu, formatMoveNotation, SUPPORTED_FORMATS } = require('./kifu');
+const { createUsiEngine, buildPositionCommand, parseEngineOptions } = require('./usiEngine');
+const { startMateSearch, startMateCheck } = require('./tsumeSolver');
+const { isSameMove, createMoveTree, addChild, getPathMoves, getAncestorAtPly, findChildByMove, promoteToMainLine, deleteBranch } = require('./moveTree');
+const { getTimeControls, createClocks, consumeTime, completeMove, buildClockState, getOvertimeMs, migrateClock } = require('./timeControl');
 const { initLogger, sendInfo } = require('./logger');
 
 // 1. ロガーを起動
@@ -29,11 +36,72 @@ db.prepare(`
   )
 `).run();
 
-const io = new Server(3001, {
+// 終局した対局の永久保存用 (rooms の24時間クリーンアップの対象外)
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS games (
+    id TEXT PRIMARY KEY,
+    room_id TEXT,
+    sente_user_id TEXT,
+    gote_user_id TEXT,
+    sente_name TEXT,
+    gote_name TEXT,
+    winner TEXT,
+    reason TEXT,
+    move_count INTEGER,
+    started_at INTEGER,
+    ended_at INTEGER,
+    data TEXT
+  )
+`).run();
+db.prepare("CREATE INDEX IF NOT EXISTS idx_games_sente_user ON games (sente_user_id, ended_at)").run();
+db.prepare("CREATE INDEX IF NOT EXISTS idx_games_gote_user ON games (gote_user_id, ended_at)").run();
+
+// userId ごとのレーティング (Elo)
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS ratings (
+    user_id TEXT PRIMARY KEY,
+    name TEXT,
+    rating REAL,
+    games INTEGER,
+    wins INTEGER,
+    losses INTEGER,
+    draws INTEGER,
+    updated_at INTEGER
+  )
+`).run();
+db.prepare("CREATE INDEX IF NOT EXISTS idx_ratings_rating ON ratings (rating)").run();
+
+// 詰将棋の問題 (solution は正解手順のUSI形式をスペース区切り) と userId ごとの成績
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS puzzles (
+    id TEXT PRIMARY KEY,
+    title TEXT,
+    sfen TEXT,
+    solution TEXT,
+    move_count INTEGER,
+    created_at INTEGER
+  )
+`).run();
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS puzzle_results (
+    user_id TEXT,
+    puzzle_id TEXT,
+    solved INTEGER,
+    attempts INTEGER,
+    updated_at INTEGER,
+    PRIMARY KEY (user_id, puzzle_id)
+  )
+`).run();
+
+// socket.io と同じポートで素のHTTP GETも受け付ける (棋譜ダウンロード等)
+const httpServer = http.createServer((req, res) => handleHttpRequest(req, res));
+
+const io = new Server(httpServer, {
   cors: { origin: "*", methods: ["GET", "POST"] },
   pingTimeout: 60000, 
   pingInterval: 25000
 });
+httpServer.listen(3001);
 
 sendInfo("🚀 ShogiStack Server Started", "サーバーが正常に起動しました。待機中...");
 console.log("将棋サーバー起動: http://localhost:3001");
@@ -50,6 +118,51 @@ const formatDuration = (seconds) => {
   return `${m}分${s}秒`;
 };
 
+// --- 千日手判定用の局面ハッシュ ---
+// room.positionHashes[i] は i 手目を指した後の局面 (0 は開始局面)、room.positionCounts はハッシュごとの出現回数
+// 指すたびに差分で1つ足し、戻すときは末尾を削るだけなので、棋譜全体を並べ直さずに済む
+const createPositionHashState = (startPosition) => {
+  const { board, hands, turn } = createStartPosition(startPosition);
+  const hash = getPositionHash(board, hands, turn);
+  return { positionHashes: [hash], positionCounts: { [hash]: 1 } };
+};
+
+const resetPositionHashes = (room) => Object.assign(room, createPositionHashState(room.startPosition));
+
+// position (指す前の局面) から move を指した局面のハッシュを追加する
+const pushPositionHash = (room, position, move) => {
+  const hash = updatePositionHash(room.positionHashes[room.positionHashes.length - 1], position.board, position.hands, move, position.turn);
+  room.positionHashes.push(hash);
+  room.positionCounts[hash] = (room.positionCounts[hash] || 0) + 1;
+  return hash;
+};
+
+// ply 手目までに戻す
+const truncatePositionHashes = (room, ply) => {
+  while (room.positionHashes.length > ply + 1) {
+    const hash = room.positionHashes.pop();
+    if (--room.positionCounts[hash] <= 0) delete room.positionCounts[hash];
+  }
+};
+
+// 棋譜を丸ごと差し替えた場合 (棋譜の読み込み・旧形式の部屋) は作り直す
+const rebuildPositionHashes = (room) => {
+  resetPositionHashes(room);
+  let position = createStartPosition(room.startPosition);
+  for (const m of room.history) {
+    pushPositionHash(room, position, m);
+    position = applyMove(position.board, position.hands, m, position.turn);
+  }
+};
+
+// ply 手目の局面が直前に現れた手数 (なければ -1)。同じ手番の局面だけを2手ずつさかのぼる
+const findPreviousOccurrence = (room, ply) => {
+  for (let i = ply - 2; i >= 0; i -= 2) {
+    if (room.positionHashes[i] === room.positionHashes[ply]) return i;
+  }
+  return -1;
+};
+
 // --- DBヘルパー ---
 const saveRoom = (roomId) => {
   const room = rooms.get(roomId);
@@ -82,6 +195,37 @@ const loadRoomsFromDB = () => {
       try {
         const roomData = JSON.parse(row.data);
         roomData.timerInterval = null; 
+        // 旧形式 (times / currentByoyomi) の部屋は時計に移し替える
+        if (!roomData.clock) {
+          roomData.clock = createClocks(roomData.settings);
+          ['sente', 'gote'].forEach(side => {
+            if (roomData.times) roomData.clock[side].mainMs = roomData.times[side] * 1000;
+            if (roomData.currentByoyomi) roomData.clock[side].byoyomiMs = roomData.currentByoyomi[side] * 1000;
+          });
+        }
+        // 秒単位で保存されていた時計はミリ秒に直す
+        roomData.clock = { sente: migrateClock(roomData.clock.sente), gote: migrateClock(roomData.clock.gote) };
+        delete roomData.times;
+        delete roomData.currentByoyomi;
+        // 旧形式 (sfenHistory) の部屋は局面ハッシュを作り直す
+        if (!roomData.positionHashes) rebuildPositionHashes(roomData);
+        delete roomData.sfenHistory;
+        // 再起動で直近のイベント記録は失われるので、連番を飛ばして古い連番での再送要求を全体の sync にする
+        roomData.eventSeq = (roomData.eventSeq || 0) + ROOM_EVENT_LOG_SIZE;
+        roomData.negotiation = null; // 期限切れタイマーは再起動で失われるので申し入れは破棄
+        // 対局中だった部屋は一時停止状態で復元する (停止していた間の時間は消費しない)
+        if (roomData.status === 'playing') {
+          const now = Date.now();
+          roomData.pause = { reason: 'server_restart', since: now };
+          roomData.lastMoveTimestamp = now;
+          // 切断猶予のカウントダウンも停止していた間 (最終保存から今まで) だけ後ろにずらす
+          const downtime = Math.max(0, now - row.updated_at);
+          if (roomData.disconnects) {
+            Object.values(roomData.disconnects).forEach(d => {
+              if (d.since) { d.since += downtime; d.deadline += downtime; }
+            });
+          }
+        }
         rooms.set(row.id, roomData);
         count++;
       } catch (e) {
@@ -93,7 +237,216 @@ const loadRoomsFromDB = () => {
     console.error("DB Load Error:", e);
   }
 };
-loadRoomsFromDB();
+
+// 新しい部屋の初期状態
+const createRoomState = (mode) => ({
+  history: [],
+  board: createInitialBoard(),
+  hands: { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } },
+  ...createPositionHashState(null),
+  status: mode === 'analysis' || mode === 'puzzle' ? mode : 'waiting',
+  winner: null,
+  players: { sente: null, gote: null },
+  userIds: { sente: null, gote: null },
+  playerNames: { sente: null, gote: null },
+  ready: { sente: false, gote: false },
+  rematchRequests: { sente: false, gote: false },
+  settings: { initial: 600, byoyomi: 30, randomTurn: false, fixTurn: false, rated: true, handicap: 'none', nyugyokuRule: '27', disconnectGrace: 60, maxPauseTotal: 300 },
+  clock: createClocks({ initial: 600, byoyomi: 30 }),
+  lastMoveTimestamp: Date.now(),
+  totalConsumedTimes: { sente: 0, gote: 0 },
+  timerInterval: null,
+  gameCount: 0,
+  gameStartTime: 0,
+  messages: [],
+  mutedUserIds: [],
+  puzzle: null
+});
+
+// --- 対局アーカイブ ---
+const archiveGame = (roomId, room) => {
+  const gameId = crypto.randomUUID();
+  const data = {
+    settings: room.settings,
+    startPosition: room.startPosition || null,
+    history: room.history,
+    totalConsumedTimes: room.totalConsumedTimes,
+    ratingChanges: room.ratingChanges || null,
+    // この対局中のチャット (棋譜のコメントになる)
+    messages: (room.messages || [])
+      .filter(m => m.game === (room.gameCount || 0) && !m.visibleTo && m.role !== 'system' && m.role !== 'log')
+      .map(({ visibleTo, ...m }) => m)
+  };
+  try {
+    db.prepare(`
+      INSERT INTO games (id, room_id, sente_user_id, gote_user_id, sente_name, gote_name, winner, reason, move_count, started_at, ended_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      gameId, roomId, room.userIds.sente, room.userIds.gote, room.playerNames.sente, room.playerNames.gote,
+      room.winner, room.endReason, room.history.length, room.gameStartTime, room.gameEndTime, JSON.stringify(data)
+    );
+  } catch (e) {
+    console.error(`Game Archive Error (${roomId}):`, e);
+    return null;
+  }
+  return gameId;
+};
+
+const toGameSummary = (row) => ({
+  id: row.id,
+  roomId: row.room_id,
+  players: {
+    sente: { userId: row.sente_user_id, name: row.sente_name },
+    gote: { userId: row.gote_user_id, name: row.gote_name }
+  },
+  winner: row.winner,
+  reason: row.reason,
+  moveCount: row.move_count,
+  startedAt: row.started_at,
+  endedAt: row.ended_at
+});
+
+const listUserGames = (userId, limit = 20, offset = 0) => {
+  const safeLimit = Math.min(Math.max(1, Number(limit) || 20), 100);
+  const safeOffset = Math.max(0, Number(offset) || 0);
+  const rows = db.prepare(`
+    SELECT id, room_id, sente_user_id, gote_user_id, sente_name, gote_name, winner, reason, move_count, started_at, ended_at
+    FROM games WHERE sente_user_id = ? OR gote_user_id = ?
+    ORDER BY ended_at DESC LIMIT ? OFFSET ?
+  `).all(userId, userId, safeLimit, safeOffset);
+  return rows.map(toGameSummary);
+};
+
+const getArchivedGame = (gameId) => {
+  const row = db.prepare("SELECT * FROM games WHERE id = ?").get(gameId);
+  if (!row) return null;
+  return { ...toGameSummary(row), ...JSON.parse(row.data) };
+};
+
+// --- レーティング ---
+const INITIAL_RATING = 1500;
+const RATING_K = 32;
+
+const getRatingRow = (userId) => db.prepare("SELECT * FROM ratings WHERE user_id = ?").get(userId);
+
+// 対局結果をレーティングに反映し、双方の変動を返す (対象外なら null)
+const updateRatings = (room, winner) => {
+  const { sente, gote } = room.userIds;
+  if (room.settings.rated === false || !sente || !gote || sente === gote) return null;
+  if (room.endReason === 'aborted') return null; // 中止した対局はレーティングに含めない
+
+  const apply = db.transaction(() => {
+    const rows = { sente: getRatingRow(sente), gote: getRatingRow(gote) };
+    const before = {
+      sente: rows.sente ? rows.sente.rating : INITIAL_RATING,
+      gote: rows.gote ? rows.gote.rating : INITIAL_RATING
+    };
+    const expectedSente = 1 / (1 + Math.pow(10, (before.gote - before.sente) / 400));
+    const scoreSente = winner === 'sente' ? 1 : winner === 'gote' ? 0 : 0.5;
+    const deltaSente = Math.round(RATING_K * (scoreSente - expectedSente));
+    const changes = {
+      sente: { before: Math.round(before.sente), after: Math.round(before.sente + deltaSente), delta: deltaSente },
+      gote: { before: Math.round(before.gote), after: Math.round(before.gote - deltaSente), delta: -deltaSente }
+    };
+
+    const upsert = db.prepare(`
+      INSERT INTO ratings (user_id, name, rating, games, wins, losses, draws, updated_at)
+      VALUES (@userId, @name, @rating, 1, @win, @loss, @draw, @now)
+      ON CONFLICT(user_id) DO UPDATE SET
+        name = excluded.name, rating = excluded.rating, games = games + 1,
+        wins = wins + excluded.wins, losses = losses + excluded.losses, draws = draws + excluded.draws,
+        updated_at = excluded.updated_at
+    `);
+    const now = Date.now();
+    ['sente', 'gote'].forEach(role => {
+      upsert.run({
+        userId: room.userIds[role], name: room.playerNames[role], rating: before[role] + changes[role].delta,
+        win: winner === role ? 1 : 0, loss: winner && winner !== role ? 1 : 0, draw: winner ? 0 : 1, now
+      });
+    });
+    return changes;
+  });
+
+  try {
+    return apply();
+  } catch (e) {
+    console.error("Rating Update Error:", e);
+    return null;
+  }
+};
+
+const getLeaderboard = (limit = 50, offset = 0) => {
+  const safeLimit = Math.min(Math.max(1, Number(limit) || 50), 200);
+  const safeOffset = Math.max(0, Number(offset) || 0);
+  const rows = db.prepare(`
+    SELECT user_id, name, rating, games, wins, losses, draws FROM ratings
+    ORDER BY rating DESC, games DESC LIMIT ? OFFSET ?
+  `).all(safeLimit, safeOffset);
+  return rows.map((row, idx) => ({
+    rank: safeOffset + idx + 1,
+    userId: row.user_id,
+    name: row.name,
+    rating: Math.round(row.rating),
+    games: row.games,
+    wins: row.wins,
+    losses: row.losses,
+    draws: row.draws
+  }));
+};
+
+// --- 詰将棋の問題集 ---
+// 初回起動時に入れておく問題 (既にあるIDは上書きしない)
+const DEFAULT_PUZZLES = [
+  { id: 'p001', title: '1手詰 (頭金)', sfen: '4k4/9/4P4/9/9/9/9/9/4K4 b G 1', solution: 'G*5b' },
+  { id: 'p002', title: '3手詰 その1', sfen: '9/4k3G/9/3S5/1S7/9/9/9/K8 b 2G 1', solution: 'G*5c 5b6a G*6b' },
+  { id: 'p003', title: '3手詰 その2', sfen: '9/9/kB4R2/2S6/9/9/9/9/K8 b RG 1', solution: 'R*9b 9c8d G*8e' },
+  { id: 'p004', title: '5手詰', sfen: '9/1k7/9/1S7/1p7/9/9/9/K8 b RB 1', solution: 'B*6d 8b7a R*5a 7a6b 6d7c+' },
+  { id: 'p005', title: '7手詰', sfen: '2R6/p4k3/3L5/9/9/9/9/9/K8 b RG 1', solution: 'R*4d 4b3c G*3d 3c2b 4d4b+ 2b1c 7a1a+' }
+];
+const seedPuzzles = () => {
+  const insert = db.prepare("INSERT OR IGNORE INTO puzzles (id, title, sfen, solution, move_count, created_at) VALUES (?, ?, ?, ?, ?, ?)");
+  DEFAULT_PUZZLES.forEach(p => insert.run(p.id, p.title, p.sfen, p.solution, p.solution.split(' ').length, Date.now()));
+};
+seedPuzzles();
+
+const toPuzzle = (row) => row && ({ id: row.id, title: row.title, sfen: row.sfen, solution: row.solution.split(' '), moveCount: row.move_count });
+
+const getPuzzle = (puzzleId) => toPuzzle(db.prepare("SELECT * FROM puzzles WHERE id = ?").get(puzzleId));
+
+// まだ解いていない問題のうち手数の短いものから (excludeId: 今の問題は飛ばす)
+const findNextPuzzle = (userId, excludeId = null) => toPuzzle(db.prepare(`
+  SELECT p.* FROM puzzles p
+  LEFT JOIN puzzle_results r ON r.puzzle_id = p.id AND r.user_id = ?
+  WHERE COALESCE(r.solved, 0) = 0 AND p.id != COALESCE(?, '')
+  ORDER BY p.move_count, p.id LIMIT 1
+`).get(userId || '', excludeId));
+
+const recordPuzzleResult = (userId, puzzleId, solved) => {
+  if (!userId) return;
+  try {
+    db.prepare(`
+      INSERT INTO puzzle_results (user_id, puzzle_id, solved, attempts, updated_at) VALUES (?, ?, ?, 1, ?)
+      ON CONFLICT(user_id, puzzle_id) DO UPDATE SET
+        solved = MAX(solved, excluded.solved), attempts = attempts + 1, updated_at = excluded.updated_at
+    `).run(userId, puzzleId, solved ? 1 : 0, Date.now());
+  } catch (e) {
+    console.error(`Puzzle Result Error (${userId}, ${puzzleId}):`, e);
+  }
+};
+
+// アーカイブを棋譜出力用の部屋と同じ形にする
+const toKifuSource = (game) => ({
+  history: game.history,
+  startPosition: game.startPosition,
+  settings: game.settings,
+  playerNames: { sente: game.players.sente.name, gote: game.players.gote.name },
+  status: 'finished',
+  winner: game.winner,
+  endReason: game.reason,
+  gameStartTime: game.startedAt,
+  gameEndTime: game.endedAt,
+  messages: game.messages || []
+});
 
 // 定期クリーンアップ (24時間以上前の部屋を削除)
 setInterval(() => {
@@ -106,6 +459,7 @@ setInterval(() => {
         if (room.lastMoveTimestamp < oneDayAgo && (!roomSockets || roomSockets.size === 0)) {
            stopTimer(room);
            rooms.delete(id);
+           roomEventLogs.delete(id);
         }
       }
     }
@@ -117,31 +471,48 @@ setInterval(() => {
 // --- 終局処理 ---
 const handleGameEnd = (room, roomId, winner, reason) => {
     stopTimer(room); // タイマー停止
+    clearNegotiation(roomId, 'cancelled');
+    stopGraceCountdown(roomId);
     room.status = 'finished';
     room.winner = winner;
+    room.endReason = reason;
+    room.gameEndTime = Date.now();
+    // 対局として開始されたものだけをレーティング反映・アーカイブする (二重に処理しない)
+    if (room.gameStartTime && !room.gameId) {
+        room.ratingChanges = updateRatings(room, winner);
+        room.gameId = archiveGame(roomId, room);
+    }
     saveRoom(roomId); // 確定情報を保存
 
-    io.in(roomId).emit("game_finished", { winner, reason });
+    emitToRoom(roomId, "game_finished", { winner, reason, gameId: room.gameId || null, ratingChanges: room.ratingChanges || null });
 
-    sendInfo("🏁 Game Finished", `Room: ${roomId}`, [
+    const infoFields = [
         { name: "Winner", value: winner || "Draw" },
         { name: "Reason", value: reason }
-    ]);
+    ];
+    if (room.ratingChanges) {
+        ['sente', 'gote'].forEach(role => {
+            const c = room.ratingChanges[role];
+            infoFields.push({ name: `Rating (${room.playerNames[role]})`, value: `${c.before} → ${c.after} (${c.delta >= 0 ? '+' : ''}${c.delta})` });
+        });
+    }
+    sendInfo("🏁 Game Finished", `Room: ${roomId}`, infoFields);
 
     const now = Date.now();
     const gameDurationSec = Math.floor((now - (room.gameStartTime || now)) / 1000);
     const totalMoves = room.history.length;
     
-    let maxThinkSente = { time: 0, moveNum: 0 };
-    let maxThinkGote = { time: 0, moveNum: 0 };
+    let maxThinkSente = { time: 0, moveNum: 0, notation: null };
+    let maxThinkGote = { time: 0, moveNum: 0, notation: null };
 
     room.history.forEach((move, idx) => {
         const thinkTime = move.time ? move.time.now : 0;
         const moveNum = idx + 1;
-        if (idx % 2 === 0) { 
-            if (thinkTime > maxThinkSente.time) maxThinkSente = { time: thinkTime, moveNum };
+        const notation = move.notation || null;
+        if (getMoveOwner(room, idx) === 'sente') { 
+            if (thinkTime > maxThinkSente.time) maxThinkSente = { time: thinkTime, moveNum, notation };
         } else { 
-            if (thinkTime > maxThinkGote.time) maxThinkGote = { time: thinkTime, moveNum };
+            if (thinkTime > maxThinkGote.time) maxThinkGote = { time: thinkTime, moveNum, notation };
         }
     });
 
@@ -151,25 +522,34 @@ const handleGameEnd = (room, roomId, winner, reason) => {
     else if (reason === 'sennichite') reasonText = "千日手";
     else if (reason === 'illegal_sennichite') reasonText = "反則(連続王手の千日手)";
     else if (reason === 'checkmate') reasonText = "詰み";
+    else if (reason === 'nyugyoku') reasonText = "入玉宣言";
+    else if (reason === 'jishogi') reasonText = "持将棋";
+    else if (reason === 'illegal_declaration') reasonText = "反則(入玉宣言の条件不足)";
+    else if (reason === 'agreement') reasonText = "合意";
+    else if (reason === 'aborted') reasonText = "対局中止";
+    else if (reason === 'disconnect') reasonText = "切断";
 
     const sendStatsToPlayer = (role) => {
         const socketId = room.players[role];
-        if (!socketId) return;
+        if (!room.userIds[role]) return;
         const isWinner = winner === role;
         const resultText = winner ? (isWinner ? `あなたの勝ち (${reasonText})` : `あなたの負け (${reasonText})`) : `引き分け (${reasonText})`;
         const opponentRole = role === 'sente' ? 'gote' : 'sente';
         const myTimeSec = Math.floor(room.totalConsumedTimes[role] / 1000);
         const oppTimeSec = Math.floor(room.totalConsumedTimes[opponentRole] / 1000);
         const myMax = role === 'sente' ? maxThinkSente : maxThinkGote;
-        let myMoveCount = 0;
-        if (role === 'sente') myMoveCount = Math.ceil(totalMoves / 2);
-        else myMoveCount = Math.floor(totalMoves / 2);
+        const myMoveCount = room.history.filter((_, idx) => getMoveOwner(room, idx) === role).length;
         const avgThinkTime = myMoveCount > 0 ? Math.floor(myTimeSec / myMoveCount) : 0;
 
-        const message = `【対局結果】\n${resultText}\n手数：${totalMoves}手\n対局時間：${formatDuration(gameDurationSec)}\nあなたの消費時間：${formatDuration(myTimeSec)} (平均 ${formatDuration(avgThinkTime)})\n相手の消費時間：${formatDuration(oppTimeSec)}\n最長思考手：${myMax.moveNum > 0 ? `${myMax.moveNum}手目 (${formatDuration(myMax.time)})` : '-'}`;
+        let message = `【対局結果】\n${resultText}\n手数：${totalMoves}手\n対局時間：${formatDuration(gameDurationSec)}\nあなたの消費時間：${formatDuration(myTimeSec)} (平均 ${formatDuration(avgThinkTime)})\n相手の消費時間：${formatDuration(oppTimeSec)}\n最長思考手：${myMax.moveNum > 0 ? `${myMax.moveNum}手目${myMax.notation ? ` ${myMax.notation}` : ''} (${formatDuration(myMax.time)})` : '-'}`;
+        if (room.ratingChanges) {
+            const formatRating = (c) => `${c.before} → ${c.after} (${c.delta >= 0 ? '+' : ''}${c.delta})`;
+            message += `\nあなたのレーティング：${formatRating(room.ratingChanges[role])}\n相手のレーティング：${formatRating(room.ratingChanges[opponentRole])}`;
+        }
 
-        io.to(socketId).emit("receive_message", {
-            id: generateId(), text: message, role: 'log', userName: 'Log', userId: 'system-log', timestamp: Date.now()
+        // 切断中でも保存しておき、再入室時に本人へ再送する
+        postRoomMessage(roomId, { text: message, role: 'log', userName: 'Log', userId: 'system-log' }, {
+            visibleTo: room.userIds[role], socketId: socketId && io.sockets.sockets.has(socketId) ? socketId : null
         });
     };
     sendStatsToPlayer('sente');
@@ -182,78 +562,66 @@ const updateRoomTime = (room) => {
     if (room.status !== 'playing') return;
 
     const now = Date.now();
-    const turn = room.history.length % 2 === 0 ? 'sente' : 'gote';
+    const turn = getCurrentTurn(room);
     const elapsedTotalMs = now - room.lastMoveTimestamp; // 前回処理時からの経過時間
-    const elapsedSeconds = Math.floor(elapsedTotalMs / 1000);
 
     // 消費時間を加算
     room.totalConsumedTimes[turn] += elapsedTotalMs;
 
-    // 持ち時間の減算処理
-    if (room.times[turn] > 0) {
-        const remaining = room.times[turn] - elapsedSeconds;
-        if (remaining > 0) {
-            room.times[turn] = remaining;
-        } else {
-            // 持ち時間を使い切って秒読みに入った場合
-            room.times[turn] = 0;
-            const overTime = -remaining;
-            // 秒読み時間から超過分を引く
-            room.currentByoyomi[turn] = Math.max(0, room.settings.byoyomi - overTime);
-        }
-    } else {
-        // 既に秒読みの場合
-        const remainingByoyomi = room.settings.byoyomi - elapsedSeconds;
-        room.currentByoyomi[turn] = Math.max(0, remainingByoyomi);
-    }
+    // 持ち時間の減算処理 (方式ごとの計算は timeControl.js)
+    const control = getTimeControls(room.settings)[turn];
+    room.clock[turn] = consumeTime(control, room.clock[turn], elapsedTotalMs).clock;
     
     // 時間を消費したので、最終更新時刻を「今」にリセットする
     // これにより、次に再開するときは「今」からの経過時間で計算される
     room.lastMoveTimestamp = now;
 };
 
+// 手番側にまだ持ち時間 (秒読み含む) が残っているか
+const hasTimeRemaining = (room, turn) => {
+  const elapsedMs = room.timerInterval ? Date.now() - room.lastMoveTimestamp : 0;
+  return !consumeTime(getTimeControls(room.settings)[turn], room.clock[turn], elapsedMs).flagged;
+};
+
+// 手番側の経過時間を反映した時計 (room.clock は最後にタイマーを止めた時点の値)
+const getLiveClocks = (room) => {
+  if (!room.timerInterval) return room.clock;
+  const turn = getCurrentTurn(room);
+  const control = getTimeControls(room.settings)[turn];
+  return { ...room.clock, [turn]: consumeTime(control, room.clock[turn], Date.now() - room.lastMoveTimestamp).clock };
+};
+
 // ★修正: タイマー開始処理
 const startTimer = (roomId) => {
   const room = rooms.get(roomId);
   if (!room) return;
-  const turn = room.history.length % 2 === 0 ? 'sente' : 'gote';
+  const turn = getCurrentTurn(room);
   
   // 既存のタイマーがあればクリア
   if (room.timerInterval) clearInterval(room.timerInterval);
 
   // タイマー開始時の起点をセット（updateRoomTimeで更新された時刻を使用）
   room.lastMoveTimestamp = Date.now();
+  room.pause = null;
+
+  const controls = getTimeControls(room.settings);
+  // 時計が動き出した時点の状態を送る (以降はクライアント側で serverTime から補間できる)
+  emitToRoom(roomId, "time_update", buildClockState(room.clock, controls, turn));
 
   room.timerInterval = setInterval(() => {
     const now = Date.now();
     const elapsedTotalMs = now - room.lastMoveTimestamp;
-    const elapsedSeconds = Math.floor(elapsedTotalMs / 1000);
     
     // 現在の残り時間を計算（DB保存値 - 経過時間）
-    const currentRemaining = room.times[turn] - elapsedSeconds;
-    let displayTimes = { ...room.times };
-    let displayByoyomi = { ...room.currentByoyomi };
-
-    if (currentRemaining > 0) {
-        displayTimes[turn] = currentRemaining;
-    } else {
-        displayTimes[turn] = 0;
-        const overTime = -currentRemaining; 
-        // 秒読み消費
-        const remainingByoyomi = room.settings.byoyomi - overTime;
-        displayByoyomi[turn] = remainingByoyomi;
-        
-        // 時間切れ判定
-        if (remainingByoyomi <= -1) {
-          handleGameEnd(room, roomId, turn === 'sente' ? 'gote' : 'sente', 'timeout');
-          return;
-        }
+    const { clock, flagged } = consumeTime(controls[turn], room.clock[turn], elapsedTotalMs);
+    
+    // 時間切れ判定
+    if (flagged) {
+      handleGameEnd(room, roomId, turn === 'sente' ? 'gote' : 'sente', 'timeout');
+      return;
     }
     // 全員に時間を通知
-    io.in(roomId).emit("time_update", { 
-        times: { sente: Math.max(0, displayTimes.sente), gote: Math.max(0, displayTimes.gote) }, 
-        currentByoyomi: { sente: Math.max(0, displayByoyomi.sente), gote: Math.max(0, displayByoyomi.gote) }
-    });
+    emitToRoom(roomId, "time_update", buildClockState({ ...room.clock, [turn]: clock }, controls, turn));
   }, 1000);
 };
 
@@ -279,12 +647,74 @@ const stopTimer = (room, save = true) => {
   }
 };
 
+// ply 手目 (0始まり) を指す側 (駒落ちでは上手 = 後手から指す)
+const getMoveOwner = (room, ply) => {
+  const startTurn = room.startPosition ? room.startPosition.turn : 'sente';
+  if (ply % 2 === 0) return startTurn;
+  return startTurn === 'sente' ? 'gote' : 'sente';
+};
+
+// 現在の手番 (開始局面の手番 + 手数)
+const getCurrentTurn = (room) => getMoveOwner(room, room.history.length);
+
+// クライアントから届いた指し手の形式チェック (合法かどうかは isValidMove で別に調べる)
+const isSquare = (sq) => !!sq && Number.isInteger(sq.x) && Number.isInteger(sq.y) && sq.x >= 0 && sq.x < 9 && sq.y >= 0 && sq.y < 9;
+const isWellFormedMove = (move) => {
+  if (!move || typeof move !== 'object' || !isSquare(move.to)) return false;
+  if (move.drop) return Object.prototype.hasOwnProperty.call(EMPTY_HAND, move.piece);
+  return isSquare(move.from);
+};
+
+// 開始局面から指し手列を再生した局面
+const replayPosition = (startPosition, moves) => {
+  let position = createStartPosition(startPosition);
+  for (const m of moves) position = applyMove(position.board, position.hands, m, position.turn);
+  return position;
+};
+
+// 検討ツリー (なければ現在の履歴を本線として作る)
+const ensureMoveTree = (room) => {
+  if (!room.moveTree) room.moveTree = createMoveTree(room.history);
+  return room.moveTree;
+};
+
+// 検討ツリーの現在ノードまでの手順を履歴・局面に反映する
+// 局面ハッシュは今の手順との共通部分まで戻し、そこから先だけを足す
+const syncHistoryWithTree = (room) => {
+  const path = getPathMoves(room.moveTree, room.moveTree.currentId);
+  let common = 0;
+  while (common < path.length && common < room.history.length && isSameMove(path[common], room.history[common])) common++;
+  truncatePositionHashes(room, common);
+  let position = createStartPosition(room.startPosition);
+  path.forEach((m, ply) => {
+    if (ply >= common) pushPositionHash(room, position, m);
+    position = applyMove(position.board, position.hands, m, position.turn);
+  });
+  room.history = path;
+  room.board = position.board; room.hands = position.hands;
+};
+
+// sync イベントで送る部屋の状態
+const buildSyncData = (room) => ({
+  history: room.history, status: room.status, winner: room.winner, ready: room.ready, settings: room.settings,
+  ...buildClockState(getLiveClocks(room), getTimeControls(room.settings), room.timerInterval ? getCurrentTurn(room) : null),
+  rematchRequests: room.rematchRequests, playerNames: room.playerNames,
+  gameId: room.gameId || null, ratingChanges: room.ratingChanges || null,
+  startPosition: room.startPosition || null,
+  moveTree: room.moveTree || null,
+  puzzle: getPuzzleView(room),
+  negotiation: room.negotiation || null,
+  pause: room.pause || null,
+  disconnectCountdown: room.status === 'playing' ? getGraceRemaining(room) : null,
+  sfen: toSFEN(room.board, room.hands, getCurrentTurn(room), room.history.length + 1)
+});
+
 const broadcastUserCounts = (roomId) => {
     const globalCount = io.engine.clientsCount;
     io.emit("update_global_count", globalCount);
     if (roomId) {
         const roomCount = io.sockets.adapter.rooms.get(roomId)?.size || 0;
-        io.in(roomId).emit("update_room_count", roomCount);
+        emitToRoom(roomId, "update_room_count", roomCount);
     }
 };
 
@@ -293,42 +723,700 @@ const broadcastConnectionStatus = (roomId) => {
     if (!room) return;
     const isSenteOnline = room.players.sente ? io.sockets.sockets.has(room.players.sente) : false;
     const isGoteOnline = room.players.gote ? io.sockets.sockets.has(room.players.gote) : false;
-    io.in(roomId).emit("connection_status_update", { sente: isSenteOnline, gote: isGoteOnline });
+    emitToRoom(roomId, "connection_status_update", { sente: isSenteOnline, gote: isGoteOnline });
+};
+
+// --- 部屋イベントの配信 ---
+// 部屋ごとの連番 (room.eventSeq) を第2引数 { seq } に付けて配信し、直近のイベントを覚えておく
+// 再接続したクライアントは最後に受け取った連番を送れば、取りこぼした分だけを受け取れる
+// 連番は部屋全体で単調増加する (観戦者チャンネル・本人宛てなど自分に届かないイベントの分は飛ぶ)
+const ROOM_EVENT_LOG_SIZE = 200;
+// 時計・カウントダウンなど次の通知で上書きされるものは記録しない (連番も進めず、現在の値を付ける)
+const TRANSIENT_ROOM_EVENTS = new Set(['time_update', 'disconnect_countdown', 'engine_info', 'update_room_count', 'connection_status_update']);
+const roomEventLogs = new Map(); // roomId → [{ seq, event, data, audienceOnly, visibleTo }] (DBには保存しない)
+
+const recordRoomEvent = (roomId, event, data, { audienceOnly = false, visibleTo = null } = {}) => {
+  const room = rooms.get(roomId);
+  if (!room) return { seq: 0 };
+  if (TRANSIENT_ROOM_EVENTS.has(event)) return { seq: room.eventSeq || 0 };
+  room.eventSeq = (room.eventSeq || 0) + 1;
+  if (!roomEventLogs.has(roomId)) roomEventLogs.set(roomId, []);
+  const log = roomEventLogs.get(roomId);
+  // 送った時点の内容を残す (sync の history / moveTree などは部屋の状態をそのまま参照しているため)
+  log.push({ seq: room.eventSeq, event, data: structuredClone(data), audienceOnly, visibleTo });
+  if (log.length > ROOM_EVENT_LOG_SIZE) log.splice(0, log.length - ROOM_EVENT_LOG_SIZE);
+  return { seq: room.eventSeq };
+};
+
+// 部屋の全員への配信
+const emitToRoom = (roomId, event, data) => {
+  io.in(roomId).emit(event, data, recordRoomEvent(roomId, event, data));
+};
+
+// lastSeq より後のイベントのうち、その人に届くはずだったもの
+// 記録が残っていない (古すぎる・再起動をまたいだ) 場合は null
+const getMissedEvents = (roomId, lastSeq, role, userId) => {
+  const room = rooms.get(roomId);
+  const current = room.eventSeq || 0;
+  if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > current) return null;
+  if (lastSeq === current) return [];
+  const log = roomEventLogs.get(roomId) || [];
+  if (log.length === 0 || log[0].seq > lastSeq + 1) return null;
+  return log.filter(e => e.seq > lastSeq
+    && (!e.audienceOnly || !isPlayerRole(role))
+    && (!e.visibleTo || e.visibleTo === userId));
+};
+
+// 取りこぼしたイベントを再送する。再送できなければ false
+const replayMissedEvents = (socket, roomId, lastSeq, role, userId) => {
+  const missed = getMissedEvents(roomId, lastSeq, role, userId);
+  if (!missed) return false;
+  // sync には今の席を付けて送る (振り駒で席が入れ替わった場合など)
+  missed.forEach(e => socket.emit(e.event, e.event === 'sync' ? { ...e.data, yourRole: role } : e.data, { seq: e.seq, replay: true }));
+  return true;
+};
+
+// 部屋の状態をまとめて送る (入室時・再送できない場合)
+const sendFullState = (socket, room, role, userId) => {
+  socket.emit("chat_history", getMessageBacklog(room, userId, role));
+  socket.emit("sync", { ...buildSyncData(room), yourRole: role }, { seq: room.eventSeq || 0 });
+};
+
+// --- 部屋のメッセージ (チャット・システム・ログ) ---
+const MAX_ROOM_MESSAGES = 200;
+
+// メッセージを部屋に保存して配信する
+// visibleTo: 本人だけに見せるメッセージの userId (再入室時もその人にだけ再送する)
+// socketId : 配信先を1つの接続に限る場合
+// channel  : 'audience' なら観戦者チャンネル (対局中は対局者に配信しない)
+const postRoomMessage = (roomId, fields, { visibleTo = null, socketId = null, channel = null } = {}) => {
+  const message = { id: generateId(), ...fields, ...(channel ? { channel } : {}), timestamp: Date.now() };
+  const room = rooms.get(roomId);
+  if (room) {
+    if (!room.messages) room.messages = [];
+    room.messages.push({ ...message, moveNumber: room.history.length, game: room.gameCount || 0, visibleTo });
+    if (room.messages.length > MAX_ROOM_MESSAGES) room.messages.splice(0, room.messages.length - MAX_ROOM_MESSAGES);
+    saveRoom(roomId);
+  }
+  if (visibleTo || socketId) {
+    // 本人宛ては切断中でも再接続時に再送できるよう記録しておく
+    const meta = visibleTo ? recordRoomEvent(roomId, "receive_message", message, { visibleTo }) : { seq: room ? room.eventSeq || 0 : 0 };
+    if (socketId) io.to(socketId).emit("receive_message", message, meta);
+  } else if (room && isHiddenFromPlayers(room, { channel, game: room.gameCount || 0 })) emitToAudience(roomId, "receive_message", message);
+  else emitToRoom(roomId, "receive_message", message);
+  return message;
+};
+
+// 観戦者チャンネルのメッセージを対局者から隠すか (対局中の今の対局分だけ)
+const isHiddenFromPlayers = (room, m) => m.channel === 'audience' && room.status === 'playing' && m.game === (room.gameCount || 0);
+
+// 入室した人に見えるメッセージの履歴
+const getMessageBacklog = (room, userId, role) => (room.messages || [])
+  .filter(m => !m.visibleTo || m.visibleTo === userId)
+  .filter(m => !isPlayerRole(role) || !isHiddenFromPlayers(room, m))
+  .map(({ visibleTo, ...m }) => m);
+
+// 観戦者チャンネルの配信 (部屋の接続のうち対局者以外)
+const emitToAudience = (roomId, event, data) => {
+  const meta = recordRoomEvent(roomId, event, data, { audienceOnly: true });
+  const socketIds = io.sockets.adapter.rooms.get(roomId);
+  if (!socketIds) return;
+  for (const socketId of socketIds) {
+    const user = socketUserMap.get(socketId);
+    if (user && user.roomId === roomId && !isPlayerRole(user.role)) io.to(socketId).emit(event, data, meta);
+  }
+};
+
+// --- チャットの制限 ---
+const CHAT_MAX_LENGTH = 300;
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5; // CHAT_RATE_WINDOW_SEC 秒あたりの発言数
+const CHAT_RATE_WINDOW_MS = (Number(process.env.CHAT_RATE_WINDOW_SEC) || 10) * 1000;
+// 禁止語は "語1,語2" 形式。一致した部分を伏せ字にする
+const CHAT_BANNED_WORDS = (process.env.CHAT_BANNED_WORDS || '').split(',').map(w => w.trim()).filter(Boolean);
+const chatRateMap = new Map(); // socket.id → 直近の発言時刻
+
+const isChatRateLimited = (socketId) => {
+  const now = Date.now();
+  const recent = (chatRateMap.get(socketId) || []).filter(t => now - t < CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_LIMIT) { chatRateMap.set(socketId, recent); return true; }
+  recent.push(now);
+  chatRateMap.set(socketId, recent);
+  return false;
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const bannedWordPattern = CHAT_BANNED_WORDS.length > 0 ? new RegExp(CHAT_BANNED_WORDS.map(escapeRegExp).join('|'), 'gi') : null;
+const filterChatText = (text) => (bannedWordPattern ? text.replace(bannedWordPattern, w => '*'.repeat(w.length)) : text);
+
+// --- 対局中の申し入れ (引き分け・待った・中止) ---
+const NEGOTIATION_TYPES = ['draw', 'takeback', 'abort'];
+const NEGOTIATION_TIMEOUT_MS = 30 * 1000;
+const negotiationTimers = new Map(); // roomId → 期限切れ用タイマー (DBには保存しない)
+
+// 申し入れを取り下げる (result: accepted / declined / expired / cancelled)
+const clearNegotiation = (roomId, result) => {
+  const room = rooms.get(roomId);
+  if (negotiationTimers.has(roomId)) {
+    clearTimeout(negotiationTimers.get(roomId));
+    negotiationTimers.delete(roomId);
+  }
+  if (!room || !room.negotiation) return;
+  const { id, type, from } = room.negotiation;
+  room.negotiation = null;
+  emitToRoom(roomId, "negotiation_resolved", { id, type, from, result });
+};
+
+const startNegotiation = (roomId, type, from, count) => {
+  const room = rooms.get(roomId);
+  room.negotiation = { id: generateId(), type, from, count, expiresAt: Date.now() + NEGOTIATION_TIMEOUT_MS };
+  negotiationTimers.set(roomId, setTimeout(() => {
+    negotiationTimers.delete(roomId);
+    clearNegotiation(roomId, 'expired');
+    saveRoom(roomId);
+  }, NEGOTIATION_TIMEOUT_MS));
+  emitToRoom(roomId, "negotiation_request", room.negotiation);
+  return room.negotiation;
+};
+
+// 待った: 指定手数を戻して相手 (戻した後の手番側) の時計を再開する
+// 手数ごとの時計の記録。room.clockHistory[i] は i 手目を指した直後 (0 は対局開始時) の時計と累計消費時間
+const snapshotClocks = (room) => ({
+  clock: { sente: { ...room.clock.sente }, gote: { ...room.clock.gote } },
+  totalConsumedTimes: { ...room.totalConsumedTimes }
+});
+
+// 待ったで count 手戻す。時計と累計消費時間も戻した局面の時点に戻す
+// 戻した手は指さなかったものとして扱うので、その間の消費時間は申し入れた側だけでなく相手の分も返す
+const applyTakeback = (roomId, count) => {
+  const room = rooms.get(roomId);
+  stopTimer(room, false);
+  const ply = room.history.length - count;
+  const snapshot = room.clockHistory && room.clockHistory[ply];
+  if (snapshot) {
+    room.clock = { sente: { ...snapshot.clock.sente }, gote: { ...snapshot.clock.gote } };
+    room.totalConsumedTimes = { ...snapshot.totalConsumedTimes };
+    room.clockHistory = room.clockHistory.slice(0, ply + 1);
+  }
+  room.history = room.history.slice(0, ply);
+  truncatePositionHashes(room, room.history.length);
+  const { board, hands } = replayPosition(room.startPosition, room.history);
+  room.board = board; room.hands = hands;
+  saveRoom(roomId);
+  emitToRoom(roomId, "sync", buildSyncData(room));
+  // 一時停止中なら時計は止めたまま (両対局者が揃ったときに再開する)
+  if (!isGamePaused(room)) startTimer(roomId);
+};
+
+// --- 切断猶予 ---
+// 対局者が切断すると猶予時間のカウントダウンを始め、戻らなければ切断負けにする
+// 期限は絶対時刻で room.disconnects に保存するので、サーバー再起動後も続きから数える
+const DISCONNECT_GRACE_SEC = 60; // 1回の切断で待つ時間
+const MAX_PAUSE_TOTAL_SEC = 300; // 1局で1人が止められる合計時間
+const graceTimers = new Map(); // roomId → カウントダウン用インターバル
+
+const createDisconnectState = () => ({
+  sente: { since: null, deadline: null, pausedMs: 0 },
+  gote: { since: null, deadline: null, pausedMs: 0 }
+});
+
+const secondsSetting = (value, fallback) => (value === undefined || value === null || !(Number(value) >= 0) ? fallback : Number(value));
+
+const getGraceSettings = (settings) => ({
+  graceMs: secondsSetting(settings.disconnectGrace, DISCONNECT_GRACE_SEC) * 1000,
+  maxPauseMs: secondsSetting(settings.maxPauseTotal, MAX_PAUSE_TOTAL_SEC) * 1000
+});
+
+const getGraceRemaining = (room, now = Date.now()) => {
+  const remaining = {};
+  ['sente', 'gote'].forEach(role => {
+    const d = room.disconnects && room.disconnects[role];
+    remaining[role] = d && d.deadline ? Math.max(0, Math.ceil((d.deadline - now) / 1000)) : null;
+  });
+  return remaining;
+};
+
+const stopGraceCountdown = (roomId) => {
+  if (!graceTimers.has(roomId)) return;
+  clearInterval(graceTimers.get(roomId));
+  graceTimers.delete(roomId);
+};
+
+const tickGraceCountdown = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room || room.status !== 'playing') { stopGraceCountdown(roomId); return; }
+  const now = Date.now();
+  // 期限を迎えた側の負け。両者とも戻らなければ対局中止
+  const expired = ['sente', 'gote'].filter(role => room.disconnects[role].deadline && room.disconnects[role].deadline <= now);
+  if (expired.length > 0) {
+    stopGraceCountdown(roomId);
+    if (expired.length === 2) handleGameEnd(room, roomId, null, 'aborted');
+    else handleGameEnd(room, roomId, expired[0] === 'sente' ? 'gote' : 'sente', 'disconnect');
+    return;
+  }
+  emitToRoom(roomId, "disconnect_countdown", getGraceRemaining(room, now));
+};
+
+const ensureGraceCountdown = (roomId) => {
+  if (graceTimers.has(roomId)) return;
+  graceTimers.set(roomId, setInterval(() => tickGraceCountdown(roomId), 1000));
+  tickGraceCountdown(roomId);
+};
+
+// 対局者の切断を記録し、猶予 (残りの一時停止枠を超えない範囲) の期限を決める
+const markPlayerDisconnected = (roomId, role, now = Date.now()) => {
+  const room = rooms.get(roomId);
+  if (!room.disconnects) room.disconnects = createDisconnectState();
+  const state = room.disconnects[role];
+  if (state.since) return;
+  const { graceMs, maxPauseMs } = getGraceSettings(room.settings);
+  state.since = now;
+  state.deadline = now + Math.max(0, Math.min(graceMs, maxPauseMs - state.pausedMs));
+  saveRoom(roomId);
+  ensureGraceCountdown(roomId);
+};
+
+const markPlayerReconnected = (roomId, role) => {
+  const room = rooms.get(roomId);
+  const state = room.disconnects && room.disconnects[role];
+  if (!state || !state.since) return;
+  state.pausedMs += Date.now() - state.since;
+  state.since = null;
+  state.deadline = null;
+  if (!room.disconnects.sente.since && !room.disconnects.gote.since) stopGraceCountdown(roomId);
+  saveRoom(roomId);
+  emitToRoom(roomId, "disconnect_countdown", getGraceRemaining(room));
+};
+
+// 再起動直後は誰も接続していないので、対局中の部屋はすべて猶予の続きから数え直す
+// 対局が止まっているか (サーバー再起動後に両対局者が揃っていない・どちらかが切断猶予中)
+// 止まっている間は指させず、時計も動かさない (再開は両者が揃った join_room で行う)
+const isGamePaused = (room) => !!room.pause || ['sente', 'gote'].some(role => room.disconnects && room.disconnects[role] && room.disconnects[role].since);
+
+const resumeGraceCountdowns = () => {
+  const now = Date.now();
+  for (const [roomId, room] of rooms) {
+    if (room.status !== 'playing') continue;
+    if (!room.disconnects) room.disconnects = createDisconnectState();
+    ['sente', 'gote'].forEach(role => markPlayerDisconnected(roomId, role, now));
+    ensureGraceCountdown(roomId);
+  }
+};
+
+// --- 棋譜エクスポート ---
+const buildKifu = (source, format) => {
+  if (!source) return { ok: false, error: 'not_found' };
+  if (!SUPPORTED_FORMATS.includes(format)) return { ok: false, error: 'unsupported_format' };
+  try {
+    return { ok: true, format, kifu: exportKifu(source, format) };
+  } catch (e) {
+    console.error("Kifu Export Error:", e);
+    return { ok: false, error: 'export_failed' };
+  }
+};
+
+// --- USIエンジン検討 ---
+// USI_ENGINE_PATH: エンジン実行ファイル, USI_ENGINE_OPTIONS: "Threads=2,USI_Hash=256" 形式
+const ENGINE_PATH = process.env.USI_ENGINE_PATH || '';
+const ENGINE_ARGS = process.env.USI_ENGINE_ARGS ? process.env.USI_ENGINE_ARGS.split(' ') : [];
+const ENGINE_OPTIONS = parseEngineOptions(process.env.USI_ENGINE_OPTIONS);
+const ENGINE_MAX_PER_ROOM = Number(process.env.USI_ENGINE_MAX_PER_ROOM) || 1;
+const roomEngines = new Map(); // roomId → Map(engineId → engine)
+
+const stopRoomEngines = (roomId) => {
+  const engines = roomEngines.get(roomId);
+  if (!engines) return;
+  engines.forEach(engine => engine.quit());
+};
+
+// 局面が変わったら、起動中のエンジンに新しい局面を渡す
+const refreshRoomEngines = (roomId) => {
+  const engines = roomEngines.get(roomId);
+  const room = rooms.get(roomId);
+  if (!engines || !room) return;
+  const command = buildPositionCommand(room.startPosition, room.history);
+  const meta = { ply: room.history.length, turn: getCurrentTurn(room) };
+  engines.forEach(engine => engine.analyze(command, meta));
+};
+
+const startRoomEngine = (roomId, multiPV) => {
+  const room = rooms.get(roomId);
+  const engineId = generateId();
+  const options = { ...ENGINE_OPTIONS };
+  if (multiPV) options.MultiPV = Math.min(Math.max(1, Math.floor(multiPV)), 10);
+
+  const engine = createUsiEngine({ enginePath: ENGINE_PATH, args: ENGINE_ARGS, options });
+  if (!roomEngines.has(roomId)) roomEngines.set(roomId, new Map());
+  roomEngines.get(roomId).set(engineId, engine);
+
+  engine.on('info', (info) => emitToRoom(roomId, "engine_info", { engineId, ...info }));
+  engine.on('bestmove', (result) => emitToRoom(roomId, "engine_bestmove", { engineId, ...result }));
+  engine.on('error', (e) => {
+    console.error(`USI Engine Error (${roomId}):`, e);
+    emitToRoom(roomId, "engine_status", { engineId, state: 'error', message: e.message });
+  });
+  engine.on('exit', () => {
+    const engines = roomEngines.get(roomId);
+    if (engines) {
+      engines.delete(engineId);
+      if (engines.size === 0) roomEngines.delete(roomId);
+    }
+    emitToRoom(roomId, "engine_status", { engineId, state: 'stopped' });
+  });
+
+  engine.analyze(buildPositionCommand(room.startPosition, room.history), { ply: room.history.length, turn: getCurrentTurn(room) });
+  emitToRoom(roomId, "engine_status", { engineId, state: 'started' });
+  return engineId;
 };
 
+// --- 詰み探索 (検討用) ---
+// 探索は別スレッドで行う。TSUME_MAX_NODES / TSUME_MAX_TIME_MS: 1回の探索の上限
+const TSUME_MAX_NODES = Number(process.env.TSUME_MAX_NODES) || 500000;
+const TSUME_MAX_TIME_MS = Number(process.env.TSUME_MAX_TIME_MS) || 10000;
+const TSUME_MAX_CONCURRENT = Number(process.env.TSUME_MAX_CONCURRENT) || 2;
+const mateSearches = new Map(); // roomId → 探索中の { searchId, cancel } (1部屋1つまで)
+
+const stopMateSearch = (roomId) => {
+  const search = mateSearches.get(roomId);
+  if (!search) return false;
+  search.cancel();
+  mateSearches.delete(roomId);
+  return true;
+};
+
+// 上限以下の正の整数に丸める (指定がなければ上限)
+const clampLimit = (value, max) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : max;
+};
+
+// 今の検討局面で手番側の詰みを探し、結果を tsume_result で部屋に送る
+const startRoomMateSearch = (roomId, { maxNodes, timeLimitMs }) => {
+  const room = rooms.get(roomId);
+  const turn = getCurrentTurn(room);
+  const meta = {
+    searchId: generateId(),
+    ply: room.history.length,
+    turn,
+    sfen: toSFEN(room.board, room.hands, turn, room.history.length + 1)
+  };
+  const options = { maxNodes: clampLimit(maxNodes, TSUME_MAX_NODES), timeLimitMs: clampLimit(timeLimitMs, TSUME_MAX_TIME_MS) };
+  const search = startMateSearch({ board: room.board, hands: room.hands, turn }, options, (err, result) => {
+    mateSearches.delete(roomId);
+    if (err) {
+      console.error(`Mate Search Error (${roomId}):`, err);
+      emitToRoom(roomId, "tsume_result", { ...meta, ok: false, error: 'search_failed' });
+      return;
+    }
+    emitToRoom(roomId, "tsume_result", { ...meta, ok: true, ...result, usi: result.found ? result.moves.map(toUsiMove) : [] });
+  });
+  mateSearches.set(roomId, { searchId: meta.searchId, cancel: search.cancel });
+  return meta;
+};
+
+// --- 詰将棋の部屋 ---
+// 攻め方の手を正解手順と照合し、玉方の応手はサーバーが指す
+// 正解手順と違う手でも残りの手数以内に必ず詰むなら別解として認め、以降は見つかった手順に沿って応じる
+// room.puzzle: { id, title, moveCount, solution, line, attempts, state: 'solving' | 'solved' }
+//   line: 今たどっている手順 (USI)、attempts: 解き終えた回数 (失敗 + 正解)
+const getPuzzleView = (room) => {
+  const puzzle = room.puzzle;
+  if (!puzzle) return null;
+  const { id, title, moveCount, attempts, state } = puzzle;
+  // 正解手順は解けるまで送らない
+  return { id, title, moveCount, attempts, state, solution: state === 'solved' ? puzzle.line : null };
+};
+
+// 問題の局面に戻す
+const restartPuzzle = (room) => {
+  room.history = [];
+  room.moveTree = null;
+  const start = createStartPosition(room.startPosition);
+  room.board = start.board;
+  room.hands = start.hands;
+  resetPositionHashes(room);
+  room.puzzle.line = room.puzzle.solution;
+};
+
+const setRoomPuzzle = (room, puzzle) => {
+  const { board, hands, turn } = fromSFEN(puzzle.sfen);
+  room.startPosition = { board, hands, turn };
+  room.puzzle = { id: puzzle.id, title: puzzle.title, moveCount: puzzle.moveCount, solution: puzzle.solution, line: puzzle.solution, attempts: 0, state: 'solving' };
+  restartPuzzle(room);
+};
+
+const loadRoomPuzzle = (roomId, puzzle) => {
+  stopMateSearch(roomId);
+  const room = rooms.get(roomId);
+  setRoomPuzzle(room, puzzle);
+  saveRoom(roomId);
+  emitToRoom(roomId, "sync", buildSyncData(room));
+};
+
+const playPuzzleMove = (room, move) => {
+  const turn = getCurrentTurn(room);
+  const before = { board: room.board, hands: room.hands, turn };
+  const res = applyMove(room.board, room.hands, move, turn);
+  room.board = res.board; room.hands = res.hands;
+  const moveWithInfo = {
+    ...move,
+    isCheck: isKingInCheck(room.board, turn === 'sente' ? 'gote' : 'sente'),
+    notation: formatMoveNotation(before, move, room.history[room.history.length - 1])
+  };
+  room.history.push(moveWithInfo);
+  pushPositionHash(room, before, moveWithInfo);
+};
+
+// 1回の解答の結果を送る。失敗なら問題の局面からやり直す
+const finishPuzzleAttempt = (roomId, userId, solved, details) => {
+  const room = rooms.get(roomId);
+  const puzzle = room.puzzle;
+  puzzle.attempts++;
+  if (solved) puzzle.state = 'solved';
+  recordPuzzleResult(userId, puzzle.id, solved);
+  emitToRoom(roomId, "puzzle_result", { puzzleId: puzzle.id, result: solved ? 'solved' : 'failed', attempts: puzzle.attempts, ...details });
+  if (!solved) restartPuzzle(room);
+  saveRoom(roomId);
+  emitToRoom(roomId, "sync", buildSyncData(room));
+};
+
+// 攻め方の手 (正解手順どおりか別解と確認済み) を指し、詰んでいなければ手順どおりに玉方の応手を指す
+const advancePuzzle = (roomId, move, userId) => {
+  const room = rooms.get(roomId);
+  const puzzle = room.puzzle;
+  playPuzzleMove(room, move);
+  if (isCheckmate(room.board, room.hands, getCurrentTurn(room))) {
+    finishPuzzleAttempt(roomId, userId, true, { move: toUsiMove(move), solution: puzzle.line });
+    return;
+  }
+  const usi = puzzle.line[room.history.length];
+  const reply = usi && fromUsiMove(usi, room.board);
+  if (reply && isValidMove(room.board, room.hands, getCurrentTurn(room), reply)) playPuzzleMove(room, reply);
+  else console.error(`Puzzle Error (${puzzle.id}): no valid reply at ply ${room.history.length} (${usi || 'none'})`);
+  saveRoom(roomId);
+  emitToRoom(roomId, "sync", buildSyncData(room));
+};
+
+// 正解手順と違う王手は、残りの手数以内に必ず詰むかを別スレッドで調べる (調べている間は次の手を受け付けない)
+const checkPuzzleMove = (socket, roomId, move, userId) => {
+  const room = rooms.get(roomId);
+  const puzzle = room.puzzle;
+  const ply = room.history.length;
+  const options = { maxNodes: TSUME_MAX_NODES, timeLimitMs: TSUME_MAX_TIME_MS, maxLength: puzzle.moveCount - ply };
+  const search = startMateCheck({ board: room.board, hands: room.hands, turn: getCurrentTurn(room) }, move, options, (err, result) => {
+    mateSearches.delete(roomId);
+    if (err) {
+      console.error(`Puzzle Check Error (${roomId}):`, err);
+      return rejectAction(socket, "move", 'search_failed');
+    }
+    if (!result.found) {
+      finishPuzzleAttempt(roomId, userId, false, { move: toUsiMove(move), reason: result.reason });
+      return;
+    }
+    puzzle.line = [...room.history.map(toUsiMove), ...result.moves.map(toUsiMove)];
+    advancePuzzle(roomId, move, userId);
+  });
+  mateSearches.set(roomId, { searchId: generateId(), cancel: search.cancel });
+};
+
+// --- ロビー・マッチング ---
+const matchQueue = []; // { socketId, userId, userName, initial, byoyomi, rating, ratingMin, ratingMax, queuedAt }
+
+const isSocketOnline = (socketId) => !!socketId && io.sockets.sockets.has(socketId);
+
+// 空席があり、誰かが着席して待っている部屋の一覧
+const getLobbyRooms = () => {
+  const list = [];
+  for (const [roomId, room] of rooms) {
+    if (room.status !== 'waiting') continue;
+    if (room.userIds.sente && room.userIds.gote) continue;
+    if (!isSocketOnline(room.players.sente) && !isSocketOnline(room.players.gote)) continue;
+    list.push({
+      roomId,
+      settings: room.settings,
+      players: {
+        sente: room.userIds.sente ? { name: room.playerNames.sente, online: isSocketOnline(room.players.sente) } : null,
+        gote: room.userIds.gote ? { name: room.playerNames.gote, online: isSocketOnline(room.players.gote) } : null
+      }
+    });
+  }
+  return list;
+};
+
+const removeFromMatchQueue = (predicate) => {
+  for (let i = matchQueue.length - 1; i >= 0; i--) {
+    if (predicate(matchQueue[i])) matchQueue.splice(i, 1);
+  }
+};
+
+const isRatingAcceptable = (entry, rating) =>
+  (entry.ratingMin === null || rating >= entry.ratingMin) && (entry.ratingMax === null || rating <= entry.ratingMax);
+
+const canBeMatched = (a, b) =>
+  a.userId !== b.userId && a.initial === b.initial && a.byoyomi === b.byoyomi &&
+  isRatingAcceptable(a, b.rating) && isRatingAcceptable(b, a.rating);
+
+// 対局部屋を作り、両者を先後に着席させた状態で通知する
+const createMatchRoom = (a, b) => {
+  let roomId;
+  do { roomId = `match-${generateId()}`; } while (rooms.has(roomId));
+
+  const room = createRoomState('play');
+  room.settings = { ...room.settings, initial: a.initial, byoyomi: a.byoyomi };
+  room.clock = createClocks(room.settings);
+  const [sente, gote] = Math.random() < 0.5 ? [a, b] : [b, a];
+  room.userIds = { sente: sente.userId, gote: gote.userId };
+  room.playerNames = { sente: sente.userName, gote: gote.userName };
+  rooms.set(roomId, room);
+  saveRoom(roomId);
+
+  io.to(sente.socketId).emit("match_found", { roomId, role: 'sente', opponent: { name: gote.userName, rating: Math.round(gote.rating) }, settings: room.settings });
+  io.to(gote.socketId).emit("match_found", { roomId, role: 'gote', opponent: { name: sente.userName, rating: Math.round(sente.rating) }, settings: room.settings });
+  sendInfo("🤝 Match Found", `Room: ${roomId}`, [
+    { name: "Sente", value: sente.userName },
+    { name: "Gote", value: gote.userName }
+  ]);
+  return roomId;
+};
+
+// 新しく並んだ人と条件の合う相手を先着順に探す
+const tryMatch = (entry) => {
+  const partner = matchQueue.find(other => other !== entry && isSocketOnline(other.socketId) && canBeMatched(entry, other));
+  if (!partner) return null;
+  removeFromMatchQueue(e => e === entry || e === partner);
+  return createMatchRoom(partner, entry);
+};
+
+// --- HTTP ---
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+};
+
+// パス中のID (不正なエスケープなら null)
+const decodePathParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+const handleHttpRequest = (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'method_not_allowed' });
+
+  // GET /rooms/:roomId/kifu, /games/:gameId/kifu (?format=kif|ki2|csa)
+  const kifuMatch = url.pathname.match(/^\/(rooms|games)\/([^/]+)\/kifu$/);
+  if (kifuMatch) {
+    const id = decodePathParam(kifuMatch[2]);
+    if (id === null) return sendJson(res, 400, { error: 'invalid_path' });
+    const format = url.searchParams.get('format') || 'kif';
+    let source = null;
+    if (kifuMatch[1] === 'rooms') {
+      source = rooms.get(id);
+    } else {
+      const game = getArchivedGame(id);
+      source = game && toKifuSource(game);
+    }
+    const result = buildKifu(source, format);
+    if (!result.ok) return sendJson(res, result.error === 'not_found' ? 404 : 400, { error: result.error });
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(id)}.${format}"`,
+      'Access-Control-Allow-Origin': '*'
+    });
+    return res.end(result.kifu);
+  }
+
+  // GET /lobby
+  if (url.pathname === '/lobby') {
+    return sendJson(res, 200, { rooms: getLobbyRooms(), queueLength: matchQueue.length });
+  }
+
+  // GET /leaderboard?limit=&offset=
+  if (url.pathname === '/leaderboard') {
+    return sendJson(res, 200, { leaderboard: getLeaderboard(url.searchParams.get('limit'), url.searchParams.get('offset')) });
+  }
+
+  // GET /users/:userId/games?limit=&offset=
+  const userGamesMatch = url.pathname.match(/^\/users\/([^/]+)\/games$/);
+  if (userGamesMatch) {
+    const userId = decodePathParam(userGamesMatch[1]);
+    if (userId === null) return sendJson(res, 400, { error: 'invalid_path' });
+    return sendJson(res, 200, { games: listUserGames(userId, url.searchParams.get('limit'), url.searchParams.get('offset')) });
+  }
+
+  // GET /games/:gameId
+  const gameMatch = url.pathname.match(/^\/games\/([^/]+)$/);
+  if (gameMatch) {
+    const gameId = decodePathParam(gameMatch[1]);
+    if (gameId === null) return sendJson(res, 400, { error: 'invalid_path' });
+    const game = getArchivedGame(gameId);
+    if (!game) return sendJson(res, 404, { error: 'not_found' });
+    return sendJson(res, 200, { game });
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+};
+
+// --- 権限チェック ---
+// 呼び出し元の席 ('sente' | 'gote' | 'audience')。その部屋に入室していなければ null
+const getCallerRole = (socket, roomId) => {
+  const user = socketUserMap.get(socket.id);
+  if (!user || user.roomId !== roomId) return null;
+  return user.role;
+};
+
+const isPlayerRole = (role) => role === 'sente' || role === 'gote';
+
+// 検討局面を動かせるか (検討室は入室者全員、終局後は対局者のみ)
+const canEditReview = (room, role) => room.status === 'analysis' ? !!role : isPlayerRole(role);
+
+// 権限のない操作を拒否する (ack がなくても分かるようにイベントでも通知)
+const rejectAction = (socket, event, error, callback) => {
+  socket.emit("action_rejected", { event, error });
+  if (typeof callback === "function") callback({ ok: false, error });
+};
+
+// --- 検討ツリー操作 (検討室・終局後のみ) ---
+const getReviewRoom = (roomId, role, reply) => {
+  const room = rooms.get(roomId);
+  if (!room) { reply({ ok: false, error: 'room_not_found' }); return null; }
+  if (room.status !== 'analysis' && room.status !== 'finished') { reply({ ok: false, error: 'not_analysis_room' }); return null; }
+  if (!canEditReview(room, role)) { reply({ ok: false, error: 'not_authorized' }); return null; }
+  ensureMoveTree(room);
+  return room;
+};
+
+const broadcastTreeChange = (roomId, positionChanged) => {
+  const room = rooms.get(roomId);
+  if (positionChanged) syncHistoryWithTree(room);
+  saveRoom(roomId);
+  emitToRoom(roomId, "sync", buildSyncData(room));
+  if (positionChanged) refreshRoomEngines(roomId);
+};
+
+// 部屋の復元は各種定数・ヘルパーの定義より後で行う
+loadRoomsFromDB();
+resumeGraceCountdowns();
+
 io.on("connection", (socket) => {
   console.log("接続:", socket.id);
   io.emit("update_global_count", io.engine.clientsCount);
 
   socket.on("ping_latency", (callback) => { if (typeof callback === "function") callback(); });
 
-  socket.on("join_room", ({ roomId, mode, userId, userName }) => {
+  // lastSeq: 再接続時に最後に受け取ったイベントの連番 (取りこぼした分だけを再送する)
+  socket.on("join_room", ({ roomId, mode, userId, userName, lastSeq }) => {
     socket.join(roomId);
     const safeName = userName || "名無し";
     sendInfo("➕ User Joined", `${safeName} joined Room: ${roomId}`);
 
     if (!rooms.has(roomId)) {
-      rooms.set(roomId, {
-        history: [],
-        board: createInitialBoard(),
-        hands: { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } },
-        sfenHistory: {},
-        status: mode === 'analysis' ? 'analysis' : 'waiting',
-        winner: null,
-        players: { sente: null, gote: null },
-        userIds: { sente: null, gote: null },
-        playerNames: { sente: null, gote: null },
-        ready: { sente: false, gote: false },
-        rematchRequests: { sente: false, gote: false },
-        settings: { initial: 600, byoyomi: 30, randomTurn: false, fixTurn: false },
-        times: { sente: 600, gote: 600 },
-        currentByoyomi: { sente: 30, gote: 30 },
-        lastMoveTimestamp: Date.now(), 
-        totalConsumedTimes: { sente: 0, gote: 0 },
-        timerInterval: null,
-        gameCount: 0,
-        gameStartTime: 0
-      });
+      rooms.set(roomId, createRoomState(mode));
+      // 詰将棋の部屋は作った人がまだ解いていない問題から始める
+      const puzzle = mode === 'puzzle' && findNextPuzzle(userId);
+      if (puzzle) setRoomPuzzle(rooms.get(roomId), puzzle);
     }
     
     const room = rooms.get(roomId);
@@ -351,22 +1439,23 @@ io.on("connection", (socket) => {
     socketUserMap.set(socket.id, { roomId, userId, userName: safeName, role: myRole });
     saveRoom(roomId);
 
-    io.in(roomId).emit("receive_message", { 
-      id: generateId(), text: `${safeName} さんが入室しました`, role: 'system', timestamp: Date.now() 
-    });
+    // 入室メッセージより前の分を先に送る (二重に表示されないように)
+    const resumed = lastSeq !== undefined && replayMissedEvents(socket, roomId, lastSeq, myRole, userId);
+    if (resumed) socket.emit("resumed", { seq: room.eventSeq || 0, yourRole: myRole });
+    else socket.emit("chat_history", getMessageBacklog(room, userId, myRole));
+    socket.emit("muted_users", room.mutedUserIds || []);
+    postRoomMessage(roomId, { text: `${safeName} さんが入室しました`, role: 'system' });
 
-    socket.emit("sync", {
-      history: room.history, status: room.status, winner: room.winner, yourRole: myRole,
-      ready: room.ready, settings: room.settings, times: room.times,
-      rematchRequests: room.rematchRequests, playerNames: room.playerNames
-    });
+    if (!resumed) socket.emit("sync", { ...buildSyncData(room), yourRole: myRole }, { seq: room.eventSeq || 0 });
     
-    io.in(roomId).emit("player_names_updated", room.playerNames);
-    io.in(roomId).emit("ready_status", room.ready);
-    io.in(roomId).emit("rematch_status", room.rematchRequests);
+    emitToRoom(roomId, "player_names_updated", room.playerNames);
+    emitToRoom(roomId, "ready_status", room.ready);
+    emitToRoom(roomId, "rematch_status", room.rematchRequests);
     broadcastUserCounts(roomId);
     broadcastConnectionStatus(roomId);
 
+    if (room.status === 'playing' && isPlayerRole(myRole)) markPlayerReconnected(roomId, myRole);
+
     // ★重要: 再接続時のタイマー再開ロジック
     // 対局中で、かつタイマーが止まっている場合、両者が接続していれば再開する
     if (room.status === 'playing' && !room.timerInterval) {
@@ -376,46 +1465,294 @@ io.on("connection", (socket) => {
         // 両対局者が揃ったら再開
         if (isSenteOnline && isGoteOnline) {
             console.log(`Room ${roomId}: Both players reconnected. Resuming timer.`);
-            io.in(roomId).emit("receive_message", { 
-                id: generateId(), text: "両対局者が戻ったため対局を再開します", role: 'system', timestamp: Date.now() 
-            });
+            postRoomMessage(roomId, { text: "両対局者が戻ったため対局を再開します", role: 'system' });
             startTimer(roomId);
         } else {
             // まだ揃っていない場合
+            const text = room.pause && room.pause.reason === 'server_restart'
+                ? "サーバー再起動のため対局を一時停止しています。両対局者が揃うと再開します (停止中の時間は消費されません)"
+                : "対戦相手の接続を待っています... (タイマー停止中)";
             socket.emit("receive_message", { 
-                id: generateId(), text: "対戦相手の接続を待っています... (タイマー停止中)", role: 'system', timestamp: Date.now() 
+                id: generateId(), text, role: 'system', timestamp: Date.now() 
             });
         }
     }
   });
 
-  socket.on("send_message", ({ roomId, message, role, userName, userId }) => {
-    if (message === "/test_error") {
-        throw new Error("This is a TEST ERROR for Discord notification check.");
+  // 発言者は接続から決める (名前・席をクライアントに名乗らせない)
+  // channel: 'audience' で観戦者チャンネル (対局中は対局者に届かない)
+  socket.on("send_message", ({ roomId, message, channel } = {}, callback) => {
+    const room = rooms.get(roomId);
+    const role = getCallerRole(socket, roomId);
+    if (!room || !role) return rejectAction(socket, "send_message", 'not_in_room', callback);
+    if (typeof message !== 'string' || !message.trim()) return rejectAction(socket, "send_message", 'empty_message', callback);
+    if (message.length > CHAT_MAX_LENGTH) return rejectAction(socket, "send_message", 'message_too_long', callback);
+    const sender = socketUserMap.get(socket.id);
+    if (!isPlayerRole(role) && (room.mutedUserIds || []).includes(sender.userId)) return rejectAction(socket, "send_message", 'muted', callback);
+    if (isChatRateLimited(socket.id)) return rejectAction(socket, "send_message", 'rate_limited', callback);
+
+    const toAudience = channel === 'audience' && !isPlayerRole(role);
+    const posted = postRoomMessage(roomId, { text: filterChatText(message), role, userName: sender.userName, userId: sender.userId }, { channel: toAudience ? 'audience' : null });
+    if (typeof callback === "function") callback({ ok: true, message: posted });
+  });
+
+  // 対局者による観戦者のミュート (部屋に保存するので再入室しても解除されない)
+  const setMuted = (event, muted) => ({ roomId, userId } = {}, callback) => {
+    const room = rooms.get(roomId);
+    if (!room) return rejectAction(socket, event, 'room_not_found', callback);
+    if (!isPlayerRole(getCallerRole(socket, roomId))) return rejectAction(socket, event, 'not_authorized', callback);
+    if (!userId || userId === room.userIds.sente || userId === room.userIds.gote) return rejectAction(socket, event, 'invalid_target', callback);
+    const others = (room.mutedUserIds || []).filter(id => id !== userId);
+    room.mutedUserIds = muted ? [...others, userId] : others;
+    saveRoom(roomId);
+    emitToRoom(roomId, "muted_users", room.mutedUserIds);
+    if (typeof callback === "function") callback({ ok: true, mutedUserIds: room.mutedUserIds });
+  };
+  socket.on("mute_user", setMuted("mute_user", true));
+  socket.on("unmute_user", setMuted("unmute_user", false));
+
+  // 接続したままイベントを取りこぼした疑いがある場合の再送要求
+  socket.on("resume", ({ roomId, lastSeq } = {}, callback) => {
+    const room = rooms.get(roomId);
+    const role = getCallerRole(socket, roomId);
+    if (!room || !role) return rejectAction(socket, "resume", 'not_in_room', callback);
+    const { userId } = socketUserMap.get(socket.id);
+    const full = !replayMissedEvents(socket, roomId, lastSeq, role, userId);
+    if (full) sendFullState(socket, room, role, userId);
+    if (typeof callback === "function") callback({ ok: true, full, seq: room.eventSeq || 0 });
+  });
+
+  socket.on("export_kifu", ({ roomId, format }, callback) => {
+    if (typeof callback !== "function") return;
+    callback(buildKifu(rooms.get(roomId), format || 'kif'));
+  });
+
+  // 検討室に棋譜 (KIF / CSA / USI) を読み込み、履歴と局面を置き換える
+  socket.on("import_kifu", ({ roomId, kifu }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    if (room.status !== 'analysis') return reply({ ok: false, error: 'not_analysis_room' });
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    if (typeof kifu !== 'string' || !kifu.trim()) return reply({ ok: false, error: 'empty_kifu' });
+
+    let result;
+    try {
+      result = importKifu(kifu);
+    } catch (e) {
+      return reply({ ok: false, error: 'invalid_kifu', message: e.message, line: e.line, moveNumber: e.moveNumber });
     }
-    let senderName = userName;
-    let senderId = userId;
-    if (!senderName || !senderId) {
-        const sender = socketUserMap.get(socket.id);
-        if (sender) {
-            senderName = senderName || sender.userName;
-            senderId = senderId || sender.userId;
-        } else {
-            senderName = senderName || "不明";
-        }
+
+    room.startPosition = result.startPosition;
+    room.history = result.moves;
+    room.moveTree = createMoveTree(result.moves);
+    room.board = result.board;
+    room.hands = result.hands;
+    rebuildPositionHashes(room);
+    saveRoom(roomId);
+    emitToRoom(roomId, "sync", buildSyncData(room));
+    refreshRoomEngines(roomId);
+    reply({ ok: true, format: result.format, moveCount: result.moves.length });
+  });
+
+  // 指定ノード (省略時は現在ノード) から変化手順を追加する
+  socket.on("add_variation", ({ roomId, parentId, moves, name }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = getReviewRoom(roomId, getCallerRole(socket, roomId), reply);
+    if (!room) return;
+    const tree = room.moveTree;
+    const fromId = parentId || tree.currentId;
+    if (!tree.nodes[fromId]) return reply({ ok: false, error: 'node_not_found' });
+    if (!Array.isArray(moves) || moves.length === 0) return reply({ ok: false, error: 'empty_variation' });
+
+    // 追加前にすべての手を検証する (表記もここで付ける)
+    let position = replayPosition(room.startPosition, getPathMoves(tree, fromId));
+    const annotated = [];
+    for (let i = 0; i < moves.length; i++) {
+      if (!isWellFormedMove(moves[i]) || !isValidMove(position.board, position.hands, position.turn, moves[i])) {
+        return reply({ ok: false, error: 'invalid_move', moveIndex: i });
+      }
+      annotated.push({ ...moves[i], notation: formatMoveNotation(position, moves[i], i > 0 ? moves[i - 1] : tree.nodes[fromId].move) });
+      position = applyMove(position.board, position.hands, moves[i], position.turn);
+    }
+
+    let nodeId = fromId;
+    let named = false;
+    for (const move of annotated) {
+      const existing = findChildByMove(tree, nodeId, move);
+      if (existing) { nodeId = existing.id; continue; }
+      const node = addChild(tree, nodeId, move, named ? null : (name ? String(name).slice(0, 50) : null));
+      named = true;
+      nodeId = node.id;
+    }
+    broadcastTreeChange(roomId, false);
+    reply({ ok: true, nodeId });
+  });
+
+  socket.on("select_node", ({ roomId, nodeId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = getReviewRoom(roomId, getCallerRole(socket, roomId), reply);
+    if (!room) return;
+    if (!room.moveTree.nodes[nodeId]) return reply({ ok: false, error: 'node_not_found' });
+    room.moveTree.currentId = nodeId;
+    broadcastTreeChange(roomId, true);
+    reply({ ok: true });
+  });
+
+  socket.on("promote_variation", ({ roomId, nodeId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = getReviewRoom(roomId, getCallerRole(socket, roomId), reply);
+    if (!room) return;
+    if (!promoteToMainLine(room.moveTree, nodeId)) return reply({ ok: false, error: 'node_not_found' });
+    broadcastTreeChange(roomId, false);
+    reply({ ok: true });
+  });
+
+  socket.on("delete_branch", ({ roomId, nodeId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = getReviewRoom(roomId, getCallerRole(socket, roomId), reply);
+    if (!room) return;
+    const prevCurrentId = room.moveTree.currentId;
+    if (!deleteBranch(room.moveTree, nodeId)) return reply({ ok: false, error: 'node_not_found' });
+    broadcastTreeChange(roomId, room.moveTree.currentId !== prevCurrentId);
+    reply({ ok: true });
+  });
+
+  socket.on("engine_start", ({ roomId, multiPV }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!ENGINE_PATH) return reply({ ok: false, error: 'engine_not_configured' });
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    // 対局中の部屋ではエンジンを使わせない
+    if (room.status !== 'analysis' && room.status !== 'finished') return reply({ ok: false, error: 'not_analysis_room' });
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    const engines = roomEngines.get(roomId);
+    if (engines && engines.size >= ENGINE_MAX_PER_ROOM) return reply({ ok: false, error: 'engine_limit_reached' });
+    reply({ ok: true, engineId: startRoomEngine(roomId, multiPV) });
+  });
+
+  socket.on("engine_stop", ({ roomId, engineId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    const engines = roomEngines.get(roomId);
+    if (!engines) return reply({ ok: false, error: 'engine_not_running' });
+    if (engineId) {
+      if (!engines.has(engineId)) return reply({ ok: false, error: 'engine_not_running' });
+      engines.get(engineId).quit();
+    } else {
+      stopRoomEngines(roomId);
+    }
+    reply({ ok: true });
+  });
+
+  // 検討局面の詰み探索 (結果は部屋全体に tsume_result で届く)
+  socket.on("solve_tsume", ({ roomId, maxNodes, timeLimitMs } = {}, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    // 対局中の部屋では使わせない
+    if (room.status !== 'analysis' && room.status !== 'finished') return reply({ ok: false, error: 'not_analysis_room' });
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    if (mateSearches.has(roomId)) return reply({ ok: false, error: 'search_in_progress' });
+    if (mateSearches.size >= TSUME_MAX_CONCURRENT) return reply({ ok: false, error: 'server_busy' });
+    const { searchId, ply, sfen } = startRoomMateSearch(roomId, { maxNodes, timeLimitMs });
+    reply({ ok: true, searchId, ply, sfen });
+  });
+
+  socket.on("cancel_tsume", ({ roomId } = {}, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    if (!stopMateSearch(roomId)) return reply({ ok: false, error: 'search_not_running' });
+    reply({ ok: true });
+  });
+
+  // 詰将棋の部屋に次の問題 (まだ解いていない問題のうち手数の短いもの。puzzleId 指定ならその問題) を出す
+  socket.on("next_puzzle", ({ roomId, puzzleId } = {}, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    if (room.status !== 'puzzle') return reply({ ok: false, error: 'not_puzzle_room' });
+    if (!getCallerRole(socket, roomId)) return reply({ ok: false, error: 'not_authorized' });
+    const { userId } = socketUserMap.get(socket.id);
+    const puzzle = puzzleId ? getPuzzle(puzzleId) : findNextPuzzle(userId, room.puzzle && room.puzzle.id);
+    if (!puzzle) return reply({ ok: false, error: puzzleId ? 'puzzle_not_found' : 'no_more_puzzles' });
+    loadRoomPuzzle(roomId, puzzle);
+    reply({ ok: true, puzzle: getPuzzleView(room) });
+  });
+
+  socket.on("get_game_history", ({ userId, limit, offset }, callback) => {
+    if (typeof callback !== "function") return;
+    if (!userId) return callback({ ok: false, error: 'user_id_required' });
+    try {
+      callback({ ok: true, games: listUserGames(userId, limit, offset) });
+    } catch (e) {
+      console.error("Game History Error:", e);
+      callback({ ok: false, error: 'query_failed' });
+    }
+  });
+
+  socket.on("get_game", ({ gameId }, callback) => {
+    if (typeof callback !== "function") return;
+    try {
+      const game = getArchivedGame(gameId);
+      callback(game ? { ok: true, game } : { ok: false, error: 'not_found' });
+    } catch (e) {
+      console.error("Get Game Error:", e);
+      callback({ ok: false, error: 'query_failed' });
+    }
+  });
+
+  socket.on("get_lobby", (callback) => {
+    if (typeof callback !== "function") return;
+    callback({ ok: true, rooms: getLobbyRooms(), queueLength: matchQueue.length });
+  });
+
+  socket.on("join_matchmaking", ({ userId, userName, initial, byoyomi, ratingMin, ratingMax }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!userId) return reply({ ok: false, error: 'user_id_required' });
+    const toSeconds = (v) => Number.isInteger(v) && v >= 0 ? v : null;
+    if (toSeconds(initial) === null || toSeconds(byoyomi) === null) return reply({ ok: false, error: 'invalid_time_control' });
+    if (initial === 0 && byoyomi === 0) return reply({ ok: false, error: 'invalid_time_control' });
+
+    // 同じユーザーの古い待ちは置き換える
+    removeFromMatchQueue(e => e.userId === userId || e.socketId === socket.id);
+    const row = getRatingRow(userId);
+    const entry = {
+      socketId: socket.id, userId, userName: userName || "名無し", initial, byoyomi,
+      rating: row ? row.rating : INITIAL_RATING,
+      ratingMin: typeof ratingMin === 'number' ? ratingMin : null,
+      ratingMax: typeof ratingMax === 'number' ? ratingMax : null,
+      queuedAt: Date.now()
+    };
+    matchQueue.push(entry);
+    const roomId = tryMatch(entry);
+    reply({ ok: true, matched: !!roomId, roomId: roomId || null });
+  });
+
+  socket.on("leave_matchmaking", (callback) => {
+    removeFromMatchQueue(e => e.socketId === socket.id);
+    if (typeof callback === "function") callback({ ok: true });
+  });
+
+  socket.on("get_leaderboard", ({ limit, offset } = {}, callback) => {
+    if (typeof callback !== "function") return;
+    try {
+      callback({ ok: true, leaderboard: getLeaderboard(limit, offset) });
+    } catch (e) {
+      console.error("Leaderboard Error:", e);
+      callback({ ok: false, error: 'query_failed' });
     }
-    io.in(roomId).emit("receive_message", { 
-        id: generateId(), text: message, role, userName: senderName, userId: senderId, timestamp: Date.now() 
-    });
   });
 
   socket.on("update_settings", ({ roomId, settings }) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
+      if (!isPlayerRole(getCallerRole(socket, roomId))) return rejectAction(socket, "update_settings", 'not_a_player');
       if (room.status === 'waiting') {
         room.settings = settings;
+        room.clock = createClocks(settings);
         saveRoom(roomId);
-        io.in(roomId).emit("settings_updated", settings);
+        emitToRoom(roomId, "settings_updated", settings);
       }
     }
   });
@@ -424,8 +1761,10 @@ io.on("connection", (socket) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
       if (role !== 'sente' && role !== 'gote') return;
+      if (getCallerRole(socket, roomId) !== role) return rejectAction(socket, "toggle_ready", 'not_your_seat');
+      if (room.status === 'puzzle') return rejectAction(socket, "toggle_ready", 'puzzle_room');
       room.ready[role] = !room.ready[role];
-      io.in(roomId).emit("ready_status", room.ready);
+      emitToRoom(roomId, "ready_status", room.ready);
 
       if (room.ready.sente && room.ready.gote) {
         // 先手後手の入れ替えロジック
@@ -442,53 +1781,51 @@ io.on("connection", (socket) => {
             
             if (room.players.sente) { const u = socketUserMap.get(room.players.sente); if (u) u.role = 'sente'; }
             if (room.players.gote) { const u = socketUserMap.get(room.players.gote); if (u) u.role = 'gote'; }
-            
-            [room.players.sente, room.players.gote, ...Array.from(room.players.audience || [])].forEach(socketId => {
-                if (!socketId) return;
-                const s = io.sockets.sockets.get(socketId);
-                if (s) {
-                    const u = socketUserMap.get(socketId);
-                    s.emit("sync", {
-                        history: [], status: 'playing', winner: null, yourRole: u ? u.role : 'audience',
-                        ready: { sente: false, gote: false }, settings: room.settings,
-                        times: { sente: room.settings.initial, gote: room.settings.initial },
-                        rematchRequests: { sente: false, gote: false }, playerNames: room.playerNames
-                    });
-                }
-            });
-            io.in(roomId).emit("receive_message", { id: generateId(), text: "振り駒の結果、手番が入れ替わりました", role: 'system', timestamp: Date.now() });
+            postRoomMessage(roomId, { text: "振り駒の結果、手番が入れ替わりました", role: 'system' });
         }
 
         stopTimer(room);
+        stopRoomEngines(roomId);
         room.history = [];
-        room.board = createInitialBoard();
-        room.hands = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
-        room.sfenHistory = {}; 
-        const initialSfen = generateSFEN(room.board, 'sente', room.hands);
-        room.sfenHistory[initialSfen] = 1;
+        // 駒落ちなら上手 (後手) から指す局面で始める
+        room.startPosition = createHandicapPosition(room.settings.handicap);
+        room.moveTree = null;
+        const start = createStartPosition(room.startPosition);
+        room.board = start.board;
+        room.hands = start.hands;
+        resetPositionHashes(room);
 
         room.status = 'playing';
         room.winner = null;
+        room.endReason = null;
+        room.gameEndTime = 0;
         room.ready = { sente: false, gote: false };
         room.rematchRequests = { sente: false, gote: false };
-        room.times = { sente: room.settings.initial, gote: room.settings.initial };
-        room.currentByoyomi = { sente: room.settings.byoyomi, gote: room.settings.byoyomi };
+        room.clock = createClocks(room.settings);
         room.lastMoveTimestamp = Date.now();
         room.totalConsumedTimes = { sente: 0, gote: 0 };
+        room.clockHistory = [snapshotClocks(room)];
         room.gameCount++;
         room.gameStartTime = Date.now();
+        room.gameId = null;
+        room.ratingChanges = null;
+        room.disconnects = createDisconnectState();
 
         saveRoom(roomId);
-        io.in(roomId).emit("game_started");
+        emitToRoom(roomId, "game_started");
         sendInfo("⚔️ Game Started", `Room: ${roomId}, Sente: ${room.playerNames.sente}, Gote: ${room.playerNames.gote}`);
 
         if (!swapped) {
-             io.in(roomId).emit("sync", {
-                history: [], status: 'playing', winner: null, ready: room.ready, settings: room.settings,
-                times: room.times, rematchRequests: room.rematchRequests, playerNames: room.playerNames
-            });
+            emitToRoom(roomId, "sync", buildSyncData(room));
         } else {
-            io.in(roomId).emit("player_names_updated", room.playerNames);
+            // 接続ごとに yourRole が違うので、記録は1回だけにして同じ連番で各接続に送る
+            const syncData = buildSyncData(room);
+            const meta = recordRoomEvent(roomId, "sync", syncData);
+            for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
+                const u = socketUserMap.get(socketId);
+                io.to(socketId).emit("sync", { ...syncData, yourRole: u && u.roomId === roomId ? u.role : 'audience' }, meta);
+            }
+            emitToRoom(roomId, "player_names_updated", room.playerNames);
         }
         broadcastConnectionStatus(roomId);
         // タイマー開始
@@ -501,88 +1838,124 @@ io.on("connection", (socket) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
       if (!room.playerNames) room.playerNames = { sente: null, gote: null };
+      const callerRole = getCallerRole(socket, roomId);
+      if (!isWellFormedMove(move)) return rejectAction(socket, "move", 'illegal_move');
+
+      if (room.status === 'puzzle') {
+        if (!callerRole) return rejectAction(socket, "move", 'not_authorized');
+        const puzzle = room.puzzle;
+        if (!puzzle) return rejectAction(socket, "move", 'no_puzzle');
+        if (puzzle.state === 'solved') return rejectAction(socket, "move", 'puzzle_solved');
+        if (mateSearches.has(roomId)) return rejectAction(socket, "move", 'checking_move');
+        const turn = getCurrentTurn(room);
+        if (!isValidMove(room.board, room.hands, turn, move)) return rejectAction(socket, "move", 'illegal_move');
+        const { userId } = socketUserMap.get(socket.id);
+        if (toUsiMove(move) === puzzle.line[room.history.length]) return advancePuzzle(roomId, move, userId);
+        // 王手でなければ調べるまでもなく不正解
+        if (!isKingInCheck(applyMove(room.board, room.hands, move, turn).board, turn === 'sente' ? 'gote' : 'sente')) {
+          return finishPuzzleAttempt(roomId, userId, false, { move: toUsiMove(move), reason: 'not_check' });
+        }
+        if (mateSearches.size >= TSUME_MAX_CONCURRENT) return rejectAction(socket, "move", 'server_busy');
+        checkPuzzleMove(socket, roomId, move, userId);
+        return;
+      }
 
       if (room.status === 'analysis' || room.status === 'finished') {
+        if (!canEditReview(room, callerRole)) return rejectAction(socket, "move", 'not_authorized');
+        const tree = ensureMoveTree(room);
+        // 途中の局面から指した場合はそこから分岐する (元の手順は変化として残る)
+        let parentId = tree.currentId;
+        let ply = room.history.length;
+        let position = { board: room.board, hands: room.hands, turn: getCurrentTurn(room) };
         if (typeof branchIndex === 'number' && branchIndex < room.history.length) {
-           room.history = room.history.slice(0, branchIndex);
-           let b = createInitialBoard();
-           let h = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
-           let t = 'sente';
-           for (const m of room.history) {
-              const r = applyMove(b, h, m, t);
-              b = r.board; h = r.hands; t = r.turn;
-           }
-           room.board = b; room.hands = h;
+           ply = Math.max(0, branchIndex);
+           parentId = getAncestorAtPly(tree, tree.currentId, ply).id;
+           position = replayPosition(room.startPosition, room.history.slice(0, ply));
         }
-        room.history.push(move);
+        if (!isValidMove(position.board, position.hands, position.turn, move)) return rejectAction(socket, "move", 'illegal_move');
+        const node = findChildByMove(tree, parentId, move) || addChild(tree, parentId, { ...move, notation: formatMoveNotation(position, move, tree.nodes[parentId].move) });
+        tree.currentId = node.id;
+        const res = applyMove(position.board, position.hands, node.move, position.turn);
+        room.board = res.board; room.hands = res.hands;
+        truncatePositionHashes(room, ply);
+        pushPositionHash(room, position, node.move);
+        room.history = getPathMoves(tree, node.id);
         saveRoom(roomId);
-        io.in(roomId).emit("sync", {
-           history: room.history, status: room.status, winner: room.winner, ready: room.ready, settings: room.settings, times: room.times, rematchRequests: room.rematchRequests, playerNames: room.playerNames
-        });
+        emitToRoom(roomId, "sync", buildSyncData(room));
+        refreshRoomEngines(roomId);
         return;
       }
 
-      const currentTurn = room.history.length % 2 === 0 ? 'sente' : 'gote';
+      const currentTurn = getCurrentTurn(room);
       const nextTurn = currentTurn === 'sente' ? 'gote' : 'sente';
+      if (room.status === 'playing' && callerRole !== currentTurn) return rejectAction(socket, "move", 'not_your_turn');
+      if (room.status === 'playing' && isGamePaused(room)) return rejectAction(socket, "move", 'game_paused');
       if (!isValidMove(room.board, room.hands, currentTurn, move)) return; 
+
+      // 時間切れの後に届いた手は受け付けない (タイマーの判定より先に届いた場合)
+      if (room.status === 'playing' && !hasTimeRemaining(room, currentTurn)) {
+        handleGameEnd(room, roomId, nextTurn, 'timeout');
+        return;
+      }
       
       // ★着手があったらタイマーを一度止め、正確な時間を計算・保存する
       stopTimer(room, false);
 
       if (room.status === 'playing') {
-        // updateRoomTimeはstopTimer内で呼ばれているので、ここでは適用済み
-        const now = Date.now(); // updateRoomTimeで更新されたlastMoveTimestampと同じはず
-        const spentTimeMs = room.lastMoveTimestamp; // ここは厳密には計算が必要だが、ログ用なので簡易計算
-        // 厳密には、前回のlastMoveTimestampとの差分が必要だが、updateRoomTimeがlastMoveTimestampを更新してしまった。
-        // ログ用に「この1手の時間」を出したい場合、工夫が必要だが、
-        // 既存ロジックを壊さないため、とりあえず room.totalConsumedTimes を信頼する形にするか、
-        // あるいはクライアント側での表示に任せる。
-        // ここでは「最後に消費した時間」の計算は省き、totalConsumedTimesだけ正しくなっていることを保証する。
-        
         // 盤面更新
+        const before = { board: room.board, hands: room.hands, turn: currentTurn };
         const res = applyMove(room.board, room.hands, move, currentTurn);
         room.board = res.board; room.hands = res.hands;
         
+        // この手の消費時間 = 累計消費時間 - 同じ側の前の手の時点の累計 (一時停止をまたいでも合算される)
+        const totalMs = room.totalConsumedTimes[currentTurn];
+        const prevOwnMove = room.history[room.history.length - 2];
+        const prevTotalMs = prevOwnMove && prevOwnMove.time
+            ? (typeof prevOwnMove.time.totalMs === 'number' ? prevOwnMove.time.totalMs : prevOwnMove.time.total * 1000)
+            : 0;
+        const elapsedMs = Math.max(0, totalMs - prevTotalMs);
+        const clockAtMove = room.clock[currentTurn];
+
         const isCheck = isKingInCheck(room.board, nextTurn);
         const moveWithInfo = { 
             ...move, 
             isCheck, 
-            // totalConsumedTimesはms単位なので秒に変換
-            time: { now: 0, total: Math.floor(room.totalConsumedTimes[currentTurn] / 1000) } 
+            notation: formatMoveNotation(before, move, room.history[room.history.length - 1]),
+            // now / total は従来どおり秒、*Ms はミリ秒。remainingMs / byoyomiMs は着手した瞬間の残り
+            time: {
+                now: Math.floor(elapsedMs / 1000), total: Math.floor(totalMs / 1000),
+                elapsedMs, totalMs,
+                remainingMs: clockAtMove.mainMs, byoyomiMs: getOvertimeMs(clockAtMove),
+                timestamp: room.lastMoveTimestamp
+            }
         };
         
-        // 秒読みリセット
-        room.currentByoyomi[currentTurn] = room.settings.byoyomi;
+        // 秒読みリセット・加算など
+        room.clock[currentTurn] = completeMove(getTimeControls(room.settings)[currentTurn], room.clock[currentTurn]);
         
         room.history.push(moveWithInfo);
+        if (room.clockHistory) room.clockHistory.push(snapshotClocks(room));
+        const hash = pushPositionHash(room, before, moveWithInfo);
+        // 局面が変わったので保留中の申し入れは無効にする
+        clearNegotiation(roomId, 'cancelled');
         saveRoom(roomId);
-        io.in(roomId).emit("move", moveWithInfo);
+        emitToRoom(roomId, "move", moveWithInfo);
 
         if (isCheckmate(room.board, room.hands, nextTurn)) {
            handleGameEnd(room, roomId, currentTurn, 'checkmate');
            return;
         }
 
-        const sfen = generateSFEN(room.board, nextTurn, room.hands);
-        room.sfenHistory[sfen] = (room.sfenHistory[sfen] || 0) + 1;
-        if (room.sfenHistory[sfen] >= 4) {
+        // 同一局面4回で千日手。3回目からの手順が一方の連続王手なら、王手をかけていた側の反則負け
+        if (room.positionCounts[hash] >= 4) {
            stopTimer(room);
            room.status = 'finished';
-           // 千日手判定ロジック（省略なし）
-           let indices = []; let tempBoard = createInitialBoard(); let tempHands = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } }; let tempTurn = 'sente';
-           const initialSfen = generateSFEN(tempBoard, 'sente', tempHands);
-           if (initialSfen === sfen) indices.push(-1);
-           room.history.forEach((m, idx) => {
-              const r = applyMove(tempBoard, tempHands, m, tempTurn);
-              tempBoard = r.board; tempHands = r.hands; tempTurn = r.turn;
-              const currentSfen = generateSFEN(tempBoard, tempTurn, tempHands);
-              if (currentSfen === sfen) indices.push(idx);
-           });
-           const lastIdx = indices[indices.length - 1]; const prevIdx = indices[indices.length - 2]; 
+           const ply = room.history.length;
+           const prevPly = findPreviousOccurrence(room, ply);
            let senteContinuousCheck = true; let goteContinuousCheck = true; let hasSenteMove = false; let hasGoteMove = false;
-           for (let i = prevIdx + 1; i <= lastIdx; i++) {
+           for (let i = prevPly; i < ply; i++) {
               const m = room.history[i];
-              if (i % 2 === 0) { hasSenteMove = true; if (!m.isCheck) senteContinuousCheck = false; } 
+              if (getMoveOwner(room, i) === 'sente') { hasSenteMove = true; if (!m.isCheck) senteContinuousCheck = false; } 
               else { hasGoteMove = true; if (!m.isCheck) goteContinuousCheck = false; }
            }
            if (hasSenteMove && senteContinuousCheck) handleGameEnd(room, roomId, 'gote', 'illegal_sennichite');
@@ -600,33 +1973,121 @@ io.on("connection", (socket) => {
   socket.on("game_resign", ({ roomId, loser }) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
-      handleGameEnd(room, roomId, loser === 'sente' ? 'gote' : 'sente', 'resign');
+      const callerRole = getCallerRole(socket, roomId);
+      if (!isPlayerRole(callerRole)) return rejectAction(socket, "game_resign", 'not_a_player');
+      if (loser && loser !== callerRole) return rejectAction(socket, "game_resign", 'not_your_seat');
+      if (room.status !== 'playing') return rejectAction(socket, "game_resign", 'game_not_in_progress');
+      handleGameEnd(room, roomId, callerRole === 'sente' ? 'gote' : 'sente', 'resign');
+    }
+  });
+
+  // 入玉宣言 (手番側のみ。条件を満たさなければ宣言側の反則負け)
+  socket.on("declare_win", ({ roomId }, callback) => {
+    if (!rooms.has(roomId)) return rejectAction(socket, "declare_win", 'room_not_found', callback);
+    const room = rooms.get(roomId);
+    const callerRole = getCallerRole(socket, roomId);
+    if (room.status !== 'playing') return rejectAction(socket, "declare_win", 'game_not_in_progress', callback);
+    if (!isPlayerRole(callerRole)) return rejectAction(socket, "declare_win", 'not_a_player', callback);
+    const turn = getCurrentTurn(room);
+    if (callerRole !== turn) return rejectAction(socket, "declare_win", 'not_your_turn', callback);
+    const opponent = turn === 'sente' ? 'gote' : 'sente';
+
+    if (!hasTimeRemaining(room, turn)) {
+      handleGameEnd(room, roomId, opponent, 'timeout');
+      if (typeof callback === "function") callback({ ok: true, result: 'timeout' });
+      return;
+    }
+
+    const rule = room.settings.nyugyokuRule === '24' ? '24' : '27';
+    const state = getNyugyokuState(room.board, room.hands, turn, rule);
+    const inCheck = isKingInCheck(room.board, turn);
+    let result;
+    if (!state.canDeclare || inCheck) {
+      result = 'illegal';
+      handleGameEnd(room, roomId, opponent, 'illegal_declaration');
+    } else if (rule === '24' && state.score < 31) {
+      result = 'draw';
+      handleGameEnd(room, roomId, null, 'jishogi');
+    } else {
+      result = 'win';
+      handleGameEnd(room, roomId, turn, 'nyugyoku');
+    }
+    if (typeof callback === "function") {
+      callback({ ok: true, result, score: state.score, piecesInZone: state.piecesInZone, kingInZone: state.kingInZone, inCheck });
+    }
+  });
+
+  // 申し入れ (type: draw / takeback / abort)。相手の応答か期限切れまで1件だけ保留する
+  socket.on("offer_request", ({ roomId, type }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    const callerRole = getCallerRole(socket, roomId);
+    if (!isPlayerRole(callerRole)) return rejectAction(socket, "offer_request", 'not_a_player', callback);
+    if (room.status !== 'playing') return reply({ ok: false, error: 'game_not_in_progress' });
+    if (!NEGOTIATION_TYPES.includes(type)) return reply({ ok: false, error: 'invalid_request_type' });
+    if (room.negotiation) return reply({ ok: false, error: 'request_pending' });
+
+    let count = 0;
+    if (type === 'abort' && room.history.length >= 2) return reply({ ok: false, error: 'too_late_to_abort' });
+    if (type === 'takeback') {
+      // 自分の直前の手まで戻す (相手が指した後なら相手の手も含めて2手)
+      count = getCurrentTurn(room) === callerRole ? 2 : 1;
+      if (room.history.length < count) return reply({ ok: false, error: 'nothing_to_take_back' });
     }
+    const negotiation = startNegotiation(roomId, type, callerRole, count);
+    saveRoom(roomId);
+    reply({ ok: true, requestId: negotiation.id, expiresAt: negotiation.expiresAt });
+  });
+
+  socket.on("respond_request", ({ roomId, requestId, accept }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    if (!rooms.has(roomId)) return reply({ ok: false, error: 'room_not_found' });
+    const room = rooms.get(roomId);
+    const callerRole = getCallerRole(socket, roomId);
+    const negotiation = room.negotiation;
+    if (!negotiation || (requestId && negotiation.id !== requestId)) return reply({ ok: false, error: 'no_pending_request' });
+    if (!isPlayerRole(callerRole) || callerRole === negotiation.from) return rejectAction(socket, "respond_request", 'not_authorized', callback);
+
+    if (!accept) {
+      clearNegotiation(roomId, 'declined');
+      saveRoom(roomId);
+      return reply({ ok: true });
+    }
+    clearNegotiation(roomId, 'accepted');
+    if (negotiation.type === 'draw') handleGameEnd(room, roomId, null, 'agreement');
+    else if (negotiation.type === 'abort') handleGameEnd(room, roomId, null, 'aborted');
+    else applyTakeback(roomId, negotiation.count);
+    reply({ ok: true });
+  });
+
+  socket.on("cancel_request", ({ roomId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room = rooms.get(roomId);
+    if (!room || !room.negotiation) return reply({ ok: false, error: 'no_pending_request' });
+    if (getCallerRole(socket, roomId) !== room.negotiation.from) return rejectAction(socket, "cancel_request", 'not_authorized', callback);
+    clearNegotiation(roomId, 'cancelled');
+    saveRoom(roomId);
+    reply({ ok: true });
   });
 
   socket.on("undo", (roomId) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
       if (!room.playerNames) room.playerNames = { sente: null, gote: null };
+      if (room.status === 'puzzle') return rejectAction(socket, "undo", 'puzzle_room');
       if (room.status !== 'playing' && room.history.length > 0) {
-        room.history.pop();
-        let b = createInitialBoard();
-        let h = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
-        let t = 'sente';
-        room.sfenHistory = {}; 
-        const initialSfen = generateSFEN(b, 'sente', h);
-        room.sfenHistory[initialSfen] = 1;
-        for (const m of room.history) {
-           const r = applyMove(b, h, m, t);
-           b = r.board; h = r.hands; t = r.turn;
-           const sfen = generateSFEN(b, t, h);
-           room.sfenHistory[sfen] = (room.sfenHistory[sfen] || 0) + 1;
-        }
-        room.board = b; room.hands = h;
+        if (!canEditReview(room, getCallerRole(socket, roomId))) return rejectAction(socket, "undo", 'not_authorized');
+        // 検討ツリー上で1手戻る (指し手自体は変化として残す)
+        const tree = ensureMoveTree(room);
+        tree.currentId = tree.nodes[tree.currentId].parentId;
+        room.history = getPathMoves(tree, tree.currentId);
+        truncatePositionHashes(room, room.history.length);
+        const { board, hands } = replayPosition(room.startPosition, room.history);
+        room.board = board; room.hands = hands;
         saveRoom(roomId);
-        io.in(roomId).emit("sync", {
-          history: room.history, status: room.status, winner: room.winner, ready: room.ready, settings: room.settings, times: room.times, rematchRequests: room.rematchRequests, playerNames: room.playerNames
-        });
+        emitToRoom(roomId, "sync", buildSyncData(room));
+        refreshRoomEngines(roomId);
       }
     }
   });
@@ -635,20 +2096,26 @@ io.on("connection", (socket) => {
     if (rooms.has(roomId)) {
       const room = rooms.get(roomId);
       if (!room.playerNames) room.playerNames = { sente: null, gote: null };
+      // 対局中はリセットさせない。検討室以外では対局者のみ
+      if (room.status === 'playing') return rejectAction(socket, "reset", 'game_in_progress');
+      if (room.status === 'puzzle') return rejectAction(socket, "reset", 'puzzle_room');
+      if (!canEditReview(room, getCallerRole(socket, roomId))) return rejectAction(socket, "reset", 'not_authorized');
       stopTimer(room);
       room.history = [];
+      room.startPosition = null;
+      room.moveTree = null;
       room.board = createInitialBoard();
       room.hands = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
-      room.sfenHistory = {};
+      resetPositionHashes(room);
       room.winner = null;
+      room.endReason = null;
       room.ready = { sente: false, gote: false };
       room.rematchRequests = { sente: false, gote: false };
-      room.times = { sente: room.settings.initial, gote: room.settings.initial };
+      room.clock = createClocks(room.settings);
       room.gameCount = 0;
       saveRoom(roomId);
-      io.in(roomId).emit("sync", {
-        history: [], status: room.status, winner: null, ready: room.ready, settings: room.settings, times: room.times, rematchRequests: room.rematchRequests, playerNames: room.playerNames
-      });
+      emitToRoom(roomId, "sync", buildSyncData(room));
+      refreshRoomEngines(roomId);
     }
   });
 
@@ -657,31 +2124,36 @@ io.on("connection", (socket) => {
       const room = rooms.get(roomId);
       if (!room.playerNames) room.playerNames = { sente: null, gote: null };
       if (role !== 'sente' && role !== 'gote') return;
+      if (getCallerRole(socket, roomId) !== role) return rejectAction(socket, "rematch", 'not_your_seat');
+      if (room.status === 'puzzle') return rejectAction(socket, "rematch", 'puzzle_room');
       room.rematchRequests[role] = true;
-      io.in(roomId).emit("rematch_status", room.rematchRequests);
+      emitToRoom(roomId, "rematch_status", room.rematchRequests);
       if (room.rematchRequests.sente && room.rematchRequests.gote) {
         stopTimer(room);
+        stopRoomEngines(roomId);
         room.history = [];
+        room.startPosition = null;
+        room.moveTree = null;
         room.board = createInitialBoard();
         room.hands = { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } };
-        room.sfenHistory = {};
+        resetPositionHashes(room);
         room.status = 'waiting';
         room.winner = null;
+        room.endReason = null;
         room.ready = { sente: false, gote: false };
         room.rematchRequests = { sente: false, gote: false };
-        room.times = { sente: room.settings.initial, gote: room.settings.initial };
-        room.currentByoyomi = { sente: room.settings.byoyomi, gote: room.settings.byoyomi };
+        room.clock = createClocks(room.settings);
         room.lastMoveTimestamp = Date.now();
         room.totalConsumedTimes = { sente: 0, gote: 0 };
         saveRoom(roomId);
-        io.in(roomId).emit("sync", {
-          history: [], status: 'waiting', winner: null, ready: room.ready, settings: room.settings, times: room.times, rematchRequests: { sente: false, gote: false }, playerNames: room.playerNames
-        });
+        emitToRoom(roomId, "sync", buildSyncData(room));
       }
     }
   });
   
   socket.on("disconnect", (reason) => {
+    removeFromMatchQueue(e => e.socketId === socket.id);
+    chatRateMap.delete(socket.id);
     if (socketUserMap.has(socket.id)) {
       const { roomId, userName, role } = socketUserMap.get(socket.id);
       
@@ -694,34 +2166,62 @@ io.on("connection", (socket) => {
       broadcastUserCounts(roomId);     
       broadcastConnectionStatus(roomId);
 
-      io.in(roomId).emit("receive_message", { 
-        id: generateId(), text: `${userName} さんが退出しました`, role: 'system', timestamp: Date.now() 
-      });
+      // 誰もいなくなった部屋のエンジン・詰み探索は止める
+      if (!io.sockets.adapter.rooms.get(roomId)) { stopRoomEngines(roomId); stopMateSearch(roomId); }
+
+      postRoomMessage(roomId, { text: `${userName} さんが退出しました`, role: 'system' });
 
       if (rooms.has(roomId)) {
         const room = rooms.get(roomId);
 
         // ★重要: 対局者が切断した場合、タイマーを止めて対局を一時中断する
-        if (room.status === 'playing' && (role === 'sente' || role === 'gote')) {
+        // (別タブで入り直した古い接続が切れただけなら何もしない。終了処理中の一斉切断も対象外)
+        if (!shuttingDown && room.status === 'playing' && (role === 'sente' || role === 'gote') && room.players[role] === socket.id) {
              console.log(`Room ${roomId}: Player disconnected. Pausing timer.`);
              stopTimer(room, true); // 時間を計算して止める＆保存
-             io.in(roomId).emit("receive_message", { 
-                id: generateId(), text: "対局者が切断されたため、タイマーを一時停止しました", role: 'system', timestamp: Date.now() 
-             });
+             markPlayerDisconnected(roomId, role);
+             const { sente: senteLeft, gote: goteLeft } = getGraceRemaining(room);
+             postRoomMessage(roomId, { text: `対局者が切断されたため、タイマーを一時停止しました (${role === 'sente' ? senteLeft : goteLeft}秒以内に戻らなければ切断負け)`, role: 'system' });
         }
 
         if (role === 'sente' || role === 'gote') {
            if (room.rematchRequests[role]) {
               room.rematchRequests[role] = false;
-              io.in(roomId).emit("rematch_status", room.rematchRequests);
+              emitToRoom(roomId, "rematch_status", room.rematchRequests);
            }
            if (room.ready[role]) {
               room.ready[role] = false;
-              io.in(roomId).emit("ready_status", room.ready);
+              emitToRoom(roomId, "ready_status", room.ready);
            }
         }
       }
     }
     console.log("切断:", socket.id, "理由:", reason);
   });
-});
\ No newline at end of file
+});
+
+// --- 終了処理 (SIGTERM / SIGINT) ---
+// 時計を止めて消費時間を確定させ、全部屋を保存してから終了する
+let shuttingDown = false;
+const shutdown = (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received. Saving all rooms before exit...`);
+  io.emit("receive_message", {
+    id: generateId(), text: "サーバーを再起動します。対局は一時停止され、再接続後に再開できます", role: 'system', timestamp: Date.now()
+  });
+  for (const [roomId, room] of rooms) {
+    if (room.timerInterval) stopTimer(room, false);
+    stopGraceCountdown(roomId);
+    stopRoomEngines(roomId);
+    stopMateSearch(roomId);
+    saveRoom(roomId);
+  }
+  negotiationTimers.forEach(timer => clearTimeout(timer));
+  io.close();
+  db.close();
+  console.log(`${rooms.size} rooms saved. Bye.`);
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,764 @@
+// shogistack-server/kifu.js
+
+const { createStartPosition, applyMove, isValidMove, promotePiece, fromSFEN, fromUsiMove, HANDICAPS, createHandicapPosition, detectHandicap, EMPTY_HAND } = require('./gameUtils');
+const { ROOT_ID, getMainLine, getPathMoves } = require('./moveTree');
+const { getTimeControls, describeTimeControl, isSameTimeControl } = require('./timeControl');
+
+const ZENKAKU_NUMBERS = ['', '１', '２', '３', '４', '５', '６', '７', '８', '９'];
+const KANJI_NUMBERS = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+
+const PIECE_KANJI = {
+  Pawn: '歩', Lance: '香', Knight: '桂', Silver: '銀', Gold: '金', Bishop: '角', Rook: '飛', King: '玉',
+  PromotedPawn: 'と', PromotedLance: '成香', PromotedKnight: '成桂', PromotedSilver: '成銀',
+  Horse: '馬', Dragon: '龍'
+};
+
+const CSA_PIECES = {
+  Pawn: 'FU', Lance: 'KY', Knight: 'KE', Silver: 'GI', Gold: 'KI', Bishop: 'KA', Rook: 'HI', King: 'OU',
+  PromotedPawn: 'TO', PromotedLance: 'NY', PromotedKnight: 'NK', PromotedSilver: 'NG',
+  Horse: 'UM', Dragon: 'RY'
+};
+
+const PROMOTABLE = ['Pawn', 'Lance', 'Knight', 'Silver', 'Bishop', 'Rook'];
+
+const SUPPORTED_FORMATS = ['kif', 'ki2', 'csa'];
+
+// 盤面座標 (x, y: 0-8) → 筋・段 (1-9)
+const toFile = (x) => 9 - x;
+const toRank = (y) => y + 1;
+
+const isInZone = (y, turn) => (turn === 'sente' ? y <= 2 : y >= 6);
+
+// 指し手列を再生し、各手について「指す直前の局面」と合わせて返す
+const replayMoves = (position, moves, prevMove = null, firstPly = 1) => {
+  let { board, hands, turn } = position;
+  const entries = [];
+  moves.forEach((move, idx) => {
+    const piece = move.drop ? { type: move.piece, owner: turn, isPromoted: false } : board[move.from.y][move.from.x];
+    if (!piece) throw new Error(`${firstPly + idx}手目の移動元に駒がありません`);
+    entries.push({ move, board, hands, turn, piece, prevMove: idx > 0 ? moves[idx - 1] : prevMove });
+    const next = applyMove(board, hands, move, turn);
+    board = next.board; hands = next.hands; turn = next.turn;
+  });
+  return { entries, board, hands, turn };
+};
+
+// 棋譜として出力する手順 (検討ツリーがあれば本線)
+const getGameMoves = (room) => (room.moveTree ? getMainLine(room.moveTree) : room.history);
+
+const replayGame = (room) => {
+  const start = createStartPosition(room.startPosition);
+  return { start, ...replayMoves(start, getGameMoves(room)) };
+};
+
+const isSameSquare = (move, prevMove) => !!prevMove && prevMove.to.x === move.to.x && prevMove.to.y === move.to.y;
+
+// 成/不成の表記
+const getPromotionText = (move, piece, turn) => {
+  if (move.drop || !PROMOTABLE.includes(piece.type)) return '';
+  if (move.isPromoted) return '成';
+  if (isInZone(move.from.y, turn) || isInZone(move.to.y, turn)) return '不成';
+  return '';
+};
+
+// 同じ種類の駒で、同じ升に移動できる他の駒を列挙する
+const findAmbiguousPieces = (board, hands, move, turn, type) => {
+  const result = [];
+  for (let y = 0; y < 9; y++) {
+    for (let x = 0; x < 9; x++) {
+      const p = board[y][x];
+      if (!p || p.owner !== turn || p.type !== type) continue;
+      if (!move.drop && move.from.x === x && move.from.y === y) continue;
+      const candidate = { from: { x, y }, to: move.to, piece: type, drop: false, isPromoted: false };
+      if (isValidMove(board, hands, turn, candidate, false) || isValidMove(board, hands, turn, { ...candidate, isPromoted: true }, false)) {
+        result.push({ x, y });
+      }
+    }
+  }
+  return result;
+};
+
+// KI2の相対位置表記 (上/引/寄/直/右/左)
+const getRelativeText = (move, turn, type, others) => {
+  if (others.length === 0) return '';
+  const forward = turn === 'sente' ? -1 : 1;
+  const motionOf = (from) => {
+    const d = (move.to.y - from.y) * forward;
+    return d > 0 ? '上' : d < 0 ? '引' : '寄';
+  };
+  // 指し手側から見て小さいほど左
+  const sideOf = (from) => (turn === 'sente' ? from.x : 8 - from.x);
+
+  const motion = motionOf(move.from);
+  const sameMotion = others.filter(c => motionOf(c) === motion);
+  if (sameMotion.length === 0) return motion;
+
+  const isLongRange = type === 'Horse' || type === 'Dragon';
+  if (!isLongRange && motion === '上' && move.from.x === move.to.x) return '直';
+
+  const mySide = sideOf(move.from);
+  let lr = '';
+  if (sameMotion.every(c => sideOf(c) > mySide)) lr = '左';
+  else if (sameMotion.every(c => sideOf(c) < mySide)) lr = '右';
+  if (!lr) return motion;
+
+  // 左右だけで全候補と区別できれば動作は省略する
+  const lrOnly = lr === '左' ? others.every(c => sideOf(c) > mySide) : others.every(c => sideOf(c) < mySide);
+  return lrOnly ? lr : lr + motion;
+};
+
+const formatSquare = (to) => `${ZENKAKU_NUMBERS[toFile(to.x)]}${KANJI_NUMBERS[toRank(to.y)]}`;
+
+const formatPieceAfterSame = (type) => (PIECE_KANJI[type].length === 1 ? `同　${PIECE_KANJI[type]}` : `同${PIECE_KANJI[type]}`);
+
+// KIF形式の指し手 (例: ７六歩(77), 同　歩(23), ５五角打)
+const formatMoveKIF = ({ move, piece, turn, prevMove }) => {
+  const dest = isSameSquare(move, prevMove) ? formatPieceAfterSame(piece.type) : `${formatSquare(move.to)}${PIECE_KANJI[piece.type]}`;
+  if (move.drop) return `${dest}打`;
+  return `${dest}${getPromotionText(move, piece, turn)}(${toFile(move.from.x)}${toRank(move.from.y)})`;
+};
+
+// KI2形式の指し手 (例: ▲５八金左, △同　銀, ▲２二角成)
+const formatMoveKI2 = ({ move, board, hands, turn, piece, prevMove }) => {
+  const mark = turn === 'sente' ? '▲' : '△';
+  const dest = isSameSquare(move, prevMove) ? formatPieceAfterSame(piece.type) : `${formatSquare(move.to)}${PIECE_KANJI[piece.type]}`;
+  const others = findAmbiguousPieces(board, hands, move, turn, piece.type);
+  if (move.drop) return `${mark}${dest}${others.length > 0 ? '打' : ''}`;
+  return `${mark}${dest}${getRelativeText(move, turn, piece.type, others)}${getPromotionText(move, piece, turn)}`;
+};
+
+// 1手分の日本語表記 (KI2と同じ。例: ▲７六歩, △同　歩, ▲５八金左, ▲２二角成)
+// position は指す直前の局面 { board, hands, turn }、prevMove は直前の手 (「同」の判定用)
+const formatMoveNotation = (position, move, prevMove = null) => {
+  const { board, hands, turn } = position;
+  const piece = move.drop ? { type: move.piece, owner: turn, isPromoted: false } : board[move.from.y][move.from.x];
+  if (!piece) return null;
+  return formatMoveKI2({ move, board, hands, turn, piece, prevMove });
+};
+
+// CSA形式の指し手 (例: +7776FU, -0055KA)
+const formatMoveCSA = ({ move, turn, piece }) => {
+  const sign = turn === 'sente' ? '+' : '-';
+  const from = move.drop ? '00' : `${toFile(move.from.x)}${toRank(move.from.y)}`;
+  const to = `${toFile(move.to.x)}${toRank(move.to.y)}`;
+  const type = move.isPromoted ? promotePiece(piece.type) : piece.type;
+  return `${sign}${from}${to}${CSA_PIECES[type]}`;
+};
+
+// 各手の消費時間 (秒)
+// ミリ秒の記録 (elapsedMs / totalMs) があればそれを使い、なければ累計消費時間の差分から求める
+const getMoveTimes = (history, startTurn) => {
+  const lastTotal = { sente: 0, gote: 0 };
+  let turn = startTurn;
+  const perMove = history.map((move) => {
+    const time = move.time || {};
+    const hasMs = typeof time.elapsedMs === 'number' && typeof time.totalMs === 'number';
+    const total = hasMs ? Math.floor(time.totalMs / 1000) : typeof time.total === 'number' ? time.total : lastTotal[turn];
+    const spent = hasMs ? Math.floor(time.elapsedMs / 1000) : Math.max(0, total - lastTotal[turn]);
+    lastTotal[turn] = total;
+    turn = turn === 'sente' ? 'gote' : 'sente';
+    return { spent, total };
+  });
+  return { perMove, lastTotal };
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return '';
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}/${pad2(d.getMonth() + 1)}/${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+};
+
+const formatKifTime = (spent, total) => {
+  const m = Math.floor(spent / 60);
+  const s = spent % 60;
+  const th = Math.floor(total / 3600);
+  const tm = Math.floor((total % 3600) / 60);
+  const ts = total % 60;
+  return `(${String(m).padStart(2, ' ')}:${pad2(s)}/${pad2(th)}:${pad2(tm)}:${pad2(ts)})`;
+};
+
+// 全角文字を幅2として右側を空白で埋める
+const padDisplay = (text, width) => {
+  const len = [...text].reduce((acc, ch) => acc + (ch.charCodeAt(0) > 0xff ? 2 : 1), 0);
+  return text + ' '.repeat(Math.max(0, width - len));
+};
+
+const formatTimeSetting = (settings) => {
+  if (!settings) return '';
+  const controls = getTimeControls(settings);
+  if (isSameTimeControl(controls.sente, controls.gote)) return describeTimeControl(controls.sente);
+  return `先手 ${describeTimeControl(controls.sente)} / 後手 ${describeTimeControl(controls.gote)}`;
+};
+
+// 駒落ちでは下手 (先手側) / 上手 (後手側) と呼ぶ
+const sideName = (turn, handicap = false) => {
+  if (handicap) return turn === 'sente' ? '下手' : '上手';
+  return turn === 'sente' ? '先手' : '後手';
+};
+const opposite = (turn) => (turn === 'sente' ? 'gote' : 'sente');
+
+// 終局理由 → KIFの特殊な指し手 (handleGameEnd の終局理由すべて)
+// KIFに合意の引き分け・切断負けを表す指し手はないので、それぞれ 中断・切れ負け で表す (結果は「まで…」の行に書く)
+const KIF_END_MOVES = {
+  resign: '投了',
+  timeout: '切れ負け',
+  checkmate: '詰み',
+  sennichite: '千日手',
+  illegal_sennichite: '反則負け',
+  nyugyoku: '入玉勝ち',
+  jishogi: '持将棋',
+  illegal_declaration: '反則負け',
+  aborted: '中断',
+  agreement: '中断',
+  disconnect: '切れ負け'
+};
+
+// 終局理由 → 「まで○手で…」の文言
+const formatKifResult = (room, moveCount) => {
+  const { winner, endReason } = room;
+  const handicap = !!detectHandicap(room.startPosition);
+  const prefix = `まで${moveCount}手で`;
+  switch (endReason) {
+    case 'timeout': return `${prefix}時間切れにより${sideName(winner, handicap)}の勝ち`;
+    case 'sennichite': return `${prefix}千日手`;
+    case 'illegal_sennichite':
+    case 'illegal_declaration':
+      return `${prefix}${sideName(opposite(winner), handicap)}の反則負け`;
+    case 'nyugyoku': return `${prefix}${sideName(winner, handicap)}の入玉勝ち`;
+    case 'jishogi': return `${prefix}持将棋`;
+    case 'aborted': return `${prefix}中断`;
+    case 'disconnect': return `${prefix}${sideName(opposite(winner), handicap)}の切断により${sideName(winner, handicap)}の勝ち`;
+    default:
+      if (!winner) return `${prefix}引き分け`;
+      return `${prefix}${sideName(winner, handicap)}の勝ち`;
+  }
+};
+
+// 盤面図 (BOD) で使う1文字の駒名
+const BOD_PIECES = {
+  Pawn: '歩', Lance: '香', Knight: '桂', Silver: '銀', Gold: '金', Bishop: '角', Rook: '飛', King: '玉',
+  PromotedPawn: 'と', PromotedLance: '杏', PromotedKnight: '圭', PromotedSilver: '全', Horse: '馬', Dragon: '龍'
+};
+const HAND_ORDER = ['Rook', 'Bishop', 'Gold', 'Silver', 'Knight', 'Lance', 'Pawn'];
+
+const formatKanjiNumber = (n) => (n >= 10 ? `十${KANJI_NUMBERS[n - 10] || ''}` : KANJI_NUMBERS[n]);
+
+const formatBodHand = (hand) => {
+  const items = HAND_ORDER.filter(type => hand[type] > 0)
+    .map(type => `${BOD_PIECES[type]}${hand[type] > 1 ? formatKanjiNumber(hand[type]) : ''}`);
+  return items.length > 0 ? items.join('　') : 'なし';
+};
+
+const formatBOD = ({ board, hands, turn }) => {
+  const lines = [`後手の持駒：${formatBodHand(hands.gote)}`, '  ９ ８ ７ ６ ５ ４ ３ ２ １', '+---------------------------+'];
+  board.forEach((row, y) => {
+    const cells = row.map(p => (p ? `${p.owner === 'gote' ? 'v' : ' '}${BOD_PIECES[p.type]}` : ' ・'));
+    lines.push(`|${cells.join('')}|${KANJI_NUMBERS[y + 1]}`);
+  });
+  lines.push('+---------------------------+');
+  lines.push(`先手の持駒：${formatBodHand(hands.sente)}`);
+  if (turn === 'gote') lines.push('後手番');
+  return lines;
+};
+
+const buildJapaneseHeader = (room, start) => {
+  const lines = [];
+  if (room.gameStartTime) lines.push(`開始日時：${formatDate(room.gameStartTime)}`);
+  if (room.gameEndTime) lines.push(`終了日時：${formatDate(room.gameEndTime)}`);
+  const handicap = detectHandicap(room.startPosition);
+  if (handicap) lines.push(`手合割：${HANDICAPS[handicap].name}`);
+  else if (room.startPosition) lines.push(...formatBOD(start));
+  else lines.push('手合割：平手');
+  lines.push(`持ち時間：${formatTimeSetting(room.settings)}`);
+  lines.push(`${sideName('sente', !!handicap)}：${(room.playerNames && room.playerNames.sente) || ''}`);
+  lines.push(`${sideName('gote', !!handicap)}：${(room.playerNames && room.playerNames.gote) || ''}`);
+  return lines;
+};
+
+const isFinished = (room) => room.status === 'finished' && !!room.endReason;
+
+// チャットを棋譜のコメントにする (送信時の手数 → コメント行。0 は開始局面)
+// 部屋の場合はその対局 (gameCount) のチャットだけを使う。観戦者チャンネルは含めない
+const getChatComments = (room, moveCount) => {
+  const comments = new Map();
+  (room.messages || [])
+    .filter(m => m.role !== 'system' && m.role !== 'log' && !m.visibleTo && m.channel !== 'audience')
+    .filter(m => room.gameCount === undefined || m.game === room.gameCount)
+    .forEach(m => {
+      const ply = Math.min(m.moveNumber || 0, moveCount);
+      if (!comments.has(ply)) comments.set(ply, []);
+      comments.get(ply).push(`${m.userName || ''}: ${String(m.text).replace(/[\r\n]+/g, ' ')}`);
+    });
+  return comments;
+};
+
+// 検討ツリーの1手順分のノード列 (children[0] をたどる)
+const collectLine = (tree, firstId) => {
+  const nodes = [];
+  let node = tree.nodes[firstId];
+  while (node) {
+    nodes.push(node);
+    node = tree.nodes[node.children[0]];
+  }
+  return nodes;
+};
+
+// 後に別の変化が続く手には "+" を付ける
+const variationMark = (tree, node) => {
+  if (!tree || !node) return '';
+  const siblings = tree.nodes[node.parentId].children;
+  return siblings.indexOf(node.id) < siblings.length - 1 ? '+' : '';
+};
+
+// 変化手順 (後ろの分岐から順に出し、変化の中の分岐も再帰的に出力する)
+const formatKifVariations = (tree, start, line, skipFirst) => {
+  const lines = [];
+  for (let i = line.length - 1; i >= (skipFirst ? 1 : 0); i--) {
+    const parent = tree.nodes[line[i].parentId];
+    const pathMoves = getPathMoves(tree, parent.id);
+    const ply = pathMoves.length + 1;
+    for (const altId of parent.children.slice(1)) {
+      const variation = collectLine(tree, altId);
+      const position = replayMoves(start, pathMoves);
+      const { entries } = replayMoves(position, variation.map(n => n.move), pathMoves[pathMoves.length - 1] || null, ply);
+      lines.push('', `変化：${ply}手`);
+      entries.forEach((entry, idx) => {
+        lines.push(`${String(ply + idx).padStart(4, ' ')} ${padDisplay(formatMoveKIF(entry), 14)}${formatKifTime(0, 0)}${variationMark(tree, variation[idx])}`);
+      });
+      lines.push(...formatKifVariations(tree, start, variation, true));
+    }
+  }
+  return lines;
+};
+
+const exportKIF = (room) => {
+  const { start, entries, turn } = replayGame(room);
+  const { perMove, lastTotal } = getMoveTimes(getGameMoves(room), start.turn);
+  const tree = room.moveTree || null;
+  const mainLine = tree ? collectLine(tree, tree.nodes[ROOT_ID].children[0]) : [];
+  const comments = getChatComments(room, entries.length);
+  const lines = ['# ---- ShogiStack 棋譜ファイル ----', ...buildJapaneseHeader(room, start), '手数----指手---------消費時間--'];
+  (comments.get(0) || []).forEach(c => lines.push(`*${c}`));
+
+  entries.forEach((entry, idx) => {
+    const { spent, total } = perMove[idx];
+    lines.push(`${String(idx + 1).padStart(4, ' ')} ${padDisplay(formatMoveKIF(entry), 14)}${formatKifTime(spent, total)}${variationMark(tree, mainLine[idx])}`);
+    (comments.get(idx + 1) || []).forEach(c => lines.push(`*${c}`));
+  });
+
+  if (isFinished(room)) {
+    const endMove = KIF_END_MOVES[room.endReason];
+    if (endMove) {
+      lines.push(`${String(entries.length + 1).padStart(4, ' ')} ${padDisplay(endMove, 14)}${formatKifTime(0, lastTotal[turn])}`);
+    }
+    lines.push(formatKifResult(room, entries.length));
+  }
+  if (tree) lines.push(...formatKifVariations(tree, start, mainLine, false));
+  return lines.join('\n') + '\n';
+};
+
+const exportKI2 = (room) => {
+  const { entries, start } = replayGame(room);
+  const comments = getChatComments(room, entries.length);
+  const lines = ['# ---- ShogiStack 棋譜ファイル ----', ...buildJapaneseHeader(room, start), ''];
+  (comments.get(0) || []).forEach(c => lines.push(`*${c}`));
+
+  // 6手ごとに改行し、コメントのある手の後でも改行する
+  let row = [];
+  const flushRow = () => {
+    if (row.length > 0) lines.push(row.map(m => padDisplay(m, 14)).join('').trimEnd());
+    row = [];
+  };
+  entries.forEach((entry, idx) => {
+    row.push(formatMoveKI2(entry));
+    const moveComments = comments.get(idx + 1);
+    if (row.length === 6 || moveComments) flushRow();
+    (moveComments || []).forEach(c => lines.push(`*${c}`));
+  });
+  flushRow();
+  if (isFinished(room)) lines.push(formatKifResult(room, entries.length));
+  return lines.join('\n') + '\n';
+};
+
+// 終局理由 → CSAの特殊な指し手
+const formatCsaEnd = (room) => {
+  switch (room.endReason) {
+    case 'resign': return '%TORYO';
+    case 'timeout': return '%TIME_UP';
+    case 'checkmate': return '%TSUMI';
+    case 'sennichite': return '%SENNICHITE';
+    case 'illegal_sennichite':
+    case 'illegal_declaration':
+      return `%${room.winner === 'sente' ? '-' : '+'}ILLEGAL_ACTION`;
+    case 'nyugyoku': return '%KACHI';
+    case 'jishogi': return '%JISHOGI';
+    case 'agreement': return '%HIKIWAKE';
+    case 'aborted': return '%CHUDAN';
+    default: return null;
+  }
+};
+
+const sanitizeCsaName = (name) => String(name || '').replace(/[\r\n]/g, ' ');
+
+const formatCsaPosition = ({ board, hands }) => {
+  const lines = board.map((row, y) => `P${y + 1}${row.map(p => (p ? `${p.owner === 'sente' ? '+' : '-'}${CSA_PIECES[p.type]}` : ' * ')).join('')}`);
+  ['sente', 'gote'].forEach((owner) => {
+    const pieces = HAND_ORDER.flatMap(type => Array(hands[owner][type] || 0).fill(`00${CSA_PIECES[type]}`));
+    if (pieces.length > 0) lines.push(`P${owner === 'sente' ? '+' : '-'}${pieces.join('')}`);
+  });
+  return lines;
+};
+
+const exportCSA = (room) => {
+  const { start, entries } = replayGame(room);
+  const { perMove } = getMoveTimes(getGameMoves(room), start.turn);
+  const controls = getTimeControls(room.settings || {});
+  const lines = [
+    'V2.2',
+    `N+${sanitizeCsaName(room.playerNames && room.playerNames.sente)}`,
+    `N-${sanitizeCsaName(room.playerNames && room.playerNames.gote)}`,
+    '$EVENT:ShogiStack'
+  ];
+  if (room.gameStartTime) lines.push(`$START_TIME:${formatDate(room.gameStartTime)}`);
+  if (room.gameEndTime) lines.push(`$END_TIME:${formatDate(room.gameEndTime)}`);
+  // $TIME_LIMIT は先後共通の1回の秒読みしか表せない
+  const { mode, initial, byoyomi, periods } = controls.sente;
+  if (mode === 'byoyomi' && periods === 1 && isSameTimeControl(controls.sente, controls.gote)) {
+    lines.push(`$TIME_LIMIT:${pad2(Math.floor(initial / 3600))}:${pad2(Math.floor((initial % 3600) / 60))}+${pad2(byoyomi)}`);
+  }
+  if (room.startPosition) lines.push(...formatCsaPosition(start));
+  else lines.push('PI');
+  lines.push(start.turn === 'sente' ? '+' : '-');
+  const comments = getChatComments(room, entries.length);
+  (comments.get(0) || []).forEach(c => lines.push(`'${c}`));
+
+  entries.forEach((entry, idx) => {
+    lines.push(formatMoveCSA(entry));
+    lines.push(`T${perMove[idx].spent}`);
+    (comments.get(idx + 1) || []).forEach(c => lines.push(`'${c}`));
+  });
+
+  if (isFinished(room)) {
+    const end = formatCsaEnd(room);
+    if (end) lines.push(end);
+  }
+  return lines.join('\n') + '\n';
+};
+
+const exportKifu = (room, format) => {
+  switch (format) {
+    case 'kif': return exportKIF(room);
+    case 'ki2': return exportKI2(room);
+    case 'csa': return exportCSA(room);
+    default: throw new Error(`Unsupported kifu format: ${format}`);
+  }
+};
+
+// ===== 棋譜の読み込み =====
+
+// 読み込み失敗時のエラー (行番号・手数を付与)
+const importError = (message, line, moveNumber) => Object.assign(new Error(message), { line, moveNumber });
+
+const KIF_PIECE_NAMES = {
+  '歩': 'Pawn', '香': 'Lance', '桂': 'Knight', '銀': 'Silver', '金': 'Gold', '角': 'Bishop', '飛': 'Rook',
+  '玉': 'King', '王': 'King', 'と': 'PromotedPawn', '成香': 'PromotedLance', '杏': 'PromotedLance',
+  '成桂': 'PromotedKnight', '圭': 'PromotedKnight', '成銀': 'PromotedSilver', '全': 'PromotedSilver',
+  '馬': 'Horse', '龍': 'Dragon', '竜': 'Dragon'
+};
+const CSA_TO_TYPE = Object.fromEntries(Object.entries(CSA_PIECES).map(([type, csa]) => [csa, type]));
+
+// 駒の総数 (CSAの AL 指定で残り駒を求めるのに使う)
+const PIECE_TOTALS = { Pawn: 18, Lance: 4, Knight: 4, Silver: 4, Gold: 4, Bishop: 2, Rook: 2, King: 2 };
+
+const ZENKAKU_DIGITS = '０１２３４５６７８９';
+const parseDigit = (ch) => {
+  const zenkaku = ZENKAKU_DIGITS.indexOf(ch);
+  if (zenkaku >= 0) return zenkaku;
+  const kanji = KANJI_NUMBERS.indexOf(ch);
+  if (kanji > 0) return kanji;
+  return Number(ch);
+};
+
+const parseKanjiNumber = (text) => {
+  if (!text) return 1;
+  if (text.startsWith('十')) return 10 + (text.length > 1 ? KANJI_NUMBERS.indexOf(text[1]) : 0);
+  return KANJI_NUMBERS.indexOf(text);
+};
+
+const makePiece = (type, owner) => ({ type, owner, isPromoted: !PROMOTABLE.includes(type) && type !== 'Gold' && type !== 'King' });
+
+const createEmptyPosition = () => ({
+  board: Array(9).fill(null).map(() => Array(9).fill(null)),
+  hands: { sente: { ...EMPTY_HAND }, gote: { ...EMPTY_HAND } },
+  turn: 'sente'
+});
+
+// 各形式のパーサーは「開始局面」と「局面から指し手を組み立てる関数」の列を返し、
+// 合法性の検証はここでまとめて行う
+const playSteps = (position, steps) => {
+  // 平手と同じ局面なら開始局面は持たない
+  const isHirate = !!position && JSON.stringify(position) === JSON.stringify(createStartPosition(null));
+  const startPosition = position && !isHirate ? position : null;
+  let { board, hands, turn } = createStartPosition(startPosition);
+  const moves = [];
+  steps.forEach((step, idx) => {
+    const moveNumber = idx + 1;
+    const move = step.toMove(board, hands, turn, moves[idx - 1] || null);
+    if (!move) throw importError(`${moveNumber}手目「${step.text}」を解釈できません`, step.line, moveNumber);
+    if (!isValidMove(board, hands, turn, move)) throw importError(`${moveNumber}手目「${step.text}」は不正な指し手です`, step.line, moveNumber);
+    const notation = formatMoveNotation({ board, hands, turn }, move, moves[idx - 1] || null);
+    const next = applyMove(board, hands, move, turn);
+    board = next.board; hands = next.hands; turn = next.turn;
+    moves.push({ ...move, notation });
+  });
+  return { startPosition, moves, board, hands, turn };
+};
+
+// --- USI (position sfen ... moves ...) ---
+const parseUSI = (text) => {
+  const tokens = text.trim().split(/\s+/);
+  let i = 0;
+  if (tokens[i] === 'position') i++;
+  let startPosition = null;
+  if (tokens[i] === 'startpos') {
+    i++;
+  } else if (tokens[i] === 'sfen') {
+    // 盤面・手番・持ち駒の3項目の後の手数は省略できる (数字のときだけ手数として読む)
+    const fieldCount = /^\d+$/.test(tokens[i + 4] || '') ? 4 : 3;
+    try {
+      const { board, hands, turn } = fromSFEN(tokens.slice(i + 1, i + 1 + fieldCount).join(' '));
+      startPosition = { board, hands, turn };
+    } catch (e) {
+      throw importError(`SFENを解釈できません: ${e.message}`, 1, 0);
+    }
+    i += 1 + fieldCount;
+  } else {
+    throw importError('startpos または sfen で局面を指定してください', 1, 0);
+  }
+  if (i < tokens.length && tokens[i] !== 'moves') throw importError(`不明なトークン「${tokens[i]}」`, 1, 0);
+  const steps = tokens.slice(i + 1).map(token => ({ text: token, line: 1, toMove: (board) => fromUsiMove(token, board) }));
+  return playSteps(startPosition, steps);
+};
+
+// --- CSA ---
+const parseCSA = (text) => {
+  let position = null;
+  let turnSet = false;
+  const steps = [];
+  const lines = text.split(/\r?\n/);
+
+  const ensurePosition = () => {
+    if (!position) position = createEmptyPosition();
+    return position;
+  };
+
+  for (let idx = 0; idx < lines.length; idx++) {
+    const lineNo = idx + 1;
+    const raw = lines[idx].trim();
+    if (!raw || raw.startsWith("'")) continue;
+    let finished = false;
+    for (const stmt of raw.split(',')) {
+      if (/^(V|N[+-]|\$|T)/.test(stmt)) continue;
+      if (stmt.startsWith('%')) { finished = true; break; }
+      if (stmt.startsWith('PI')) {
+        position = { ...createStartPosition(null) };
+        for (let j = 2; j + 4 <= stmt.length; j += 4) {
+          const x = 9 - Number(stmt[j]);
+          const y = Number(stmt[j + 1]) - 1;
+          if (!position.board[y] || !position.board[y][x]) throw importError(`平手からの駒落ち指定が不正です: ${stmt}`, lineNo, 0);
+          position.board[y][x] = null;
+        }
+        continue;
+      }
+      if (/^P[1-9]/.test(stmt)) {
+        const y = Number(stmt[1]) - 1;
+        const row = ensurePosition().board[y];
+        for (let x = 0; x < 9; x++) {
+          const cell = stmt.substr(2 + x * 3, 3);
+          if (!cell.trim() || cell.trim() === '*') { row[x] = null; continue; }
+          const type = CSA_TO_TYPE[cell.slice(1)];
+          if (!type || (cell[0] !== '+' && cell[0] !== '-')) throw importError(`盤面の駒「${cell}」を解釈できません`, lineNo, 0);
+          row[x] = makePiece(type, cell[0] === '+' ? 'sente' : 'gote');
+        }
+        continue;
+      }
+      if (/^P[+-]/.test(stmt)) {
+        const owner = stmt[1] === '+' ? 'sente' : 'gote';
+        const pos = ensurePosition();
+        for (let j = 2; j + 4 <= stmt.length; j += 4) {
+          const sq = stmt.substr(j, 2);
+          const code = stmt.substr(j + 2, 2);
+          if (code === 'AL') {
+            // 盤上・駒台にない残りの駒をすべて持ち駒にする
+            Object.keys(PIECE_TOTALS).filter(type => type !== 'King').forEach((type) => {
+              let used = pos.hands.sente[type] + pos.hands.gote[type];
+              pos.board.forEach(r => r.forEach(p => { if (p && (p.type === type || (p.isPromoted && promotePiece(type) === p.type))) used++; }));
+              pos.hands[owner][type] += Math.max(0, PIECE_TOTALS[type] - used);
+            });
+            continue;
+          }
+          const type = CSA_TO_TYPE[code];
+          if (!type) throw importError(`駒「${code}」を解釈できません`, lineNo, 0);
+          if (sq === '00') pos.hands[owner][type]++;
+          else pos.board[Number(sq[1]) - 1][9 - Number(sq[0])] = makePiece(type, owner);
+        }
+        continue;
+      }
+      if (stmt === '+' || stmt === '-') {
+        if (steps.length === 0) { ensurePosition().turn = stmt === '+' ? 'sente' : 'gote'; turnSet = true; }
+        continue;
+      }
+      const moveMatch = /^([+-])(\d)(\d)(\d)(\d)([A-Z]{2})$/.exec(stmt);
+      if (moveMatch) {
+        const [, sign, fx, fy, tx, ty, code] = moveMatch;
+        steps.push({
+          text: stmt,
+          line: lineNo,
+          toMove: (board, hands, turn) => {
+            const type = CSA_TO_TYPE[code];
+            if (!type || (sign === '+') !== (turn === 'sente')) return null;
+            const to = { x: 9 - Number(tx), y: Number(ty) - 1 };
+            if (fx === '0' && fy === '0') return { from: 'hand', to, piece: type, drop: true, isPromoted: false };
+            const from = { x: 9 - Number(fx), y: Number(fy) - 1 };
+            const piece = board[from.y] && board[from.y][from.x];
+            if (!piece) return null;
+            if (piece.type !== type && promotePiece(piece.type) !== type) return null;
+            return { from, to, piece: piece.type, drop: false, isPromoted: piece.type !== type };
+          }
+        });
+        continue;
+      }
+      throw importError(`解釈できない行です: ${stmt}`, lineNo, steps.length);
+    }
+    if (finished) break;
+  }
+
+  if (!position) throw importError('開始局面 (PI または P1〜P9) がありません', 1, 0);
+  if (!turnSet) throw importError('手番 (+ または -) の指定がありません', 1, 0);
+  return playSteps(position, steps);
+};
+
+// --- KIF (盤面図 BOD にも対応) ---
+const KIF_END_WORDS = ['投了', '中断', '千日手', '詰み', '切れ負け', '反則勝ち', '反則負け', '入玉勝ち', '持将棋', '不詰', '封じ手'];
+const KIF_MOVE_RE = /^(?:([１-９1-9])([一二三四五六七八九1-9])|同)(成香|成桂|成銀|[歩香桂銀金角飛玉王と杏圭全馬龍竜])(成|不成|打)?(?:\((\d)(\d)\))?/;
+
+const parseBodHand = (text, lineNo) => {
+  const hand = { ...EMPTY_HAND };
+  const body = text.trim();
+  if (!body || body === 'なし') return hand;
+  for (const token of body.split(/[\s　]+/)) {
+    const type = KIF_PIECE_NAMES[token[0]];
+    const count = parseKanjiNumber(token.slice(1));
+    if (!type || !(count > 0)) throw importError(`持駒「${token}」を解釈できません`, lineNo, 0);
+    hand[type] += count;
+  }
+  return hand;
+};
+
+const parseKIF = (text) => {
+  const lines = text.split(/\r?\n/);
+  let position = null;
+  let handicapPosition = null; // 盤面図がなければ手合割の局面を使う
+  let firstMoveNumber = null;
+  const steps = [];
+
+  for (let idx = 0; idx < lines.length; idx++) {
+    const lineNo = idx + 1;
+    const line = lines[idx];
+    const trimmed = line.trim();
+    if (!trimmed || /^[*#&]/.test(trimmed)) continue;
+    if (trimmed.startsWith('変化')) break; // 変化手順は読み込まない
+
+    const header = /^([^：:]+)[：:](.*)$/.exec(trimmed);
+    if (header && !/^\d/.test(trimmed)) {
+      const [, key, value] = header;
+      if (key === '手合割' && value.trim() !== '平手' && value.trim() !== '') {
+        const handicap = Object.keys(HANDICAPS).find(h => HANDICAPS[h].name === value.trim());
+        if (!handicap) throw importError(`手合割「${value.trim()}」には対応していません`, lineNo, 0);
+        handicapPosition = createHandicapPosition(handicap);
+      }
+      if (/^(先手|下手)の持駒$/.test(key)) (position = position || createEmptyPosition()).hands.sente = parseBodHand(value, lineNo);
+      if (/^(後手|上手)の持駒$/.test(key)) (position = position || createEmptyPosition()).hands.gote = parseBodHand(value, lineNo);
+      continue;
+    }
+    if (trimmed.startsWith('|')) {
+      const cells = Array.from(trimmed.slice(1, trimmed.lastIndexOf('|')));
+      const rank = KANJI_NUMBERS.indexOf(trimmed.slice(trimmed.lastIndexOf('|') + 1).trim()[0]);
+      if (cells.length !== 18 || rank < 1) throw importError('盤面図の行を解釈できません', lineNo, 0);
+      const row = (position = position || createEmptyPosition()).board[rank - 1];
+      for (let x = 0; x < 9; x++) {
+        const [prefix, name] = [cells[x * 2], cells[x * 2 + 1]];
+        if (name === '・') { row[x] = null; continue; }
+        const type = KIF_PIECE_NAMES[name];
+        if (!type) throw importError(`盤面図の駒「${name}」を解釈できません`, lineNo, 0);
+        row[x] = makePiece(type, prefix === 'v' ? 'gote' : 'sente');
+      }
+      continue;
+    }
+    if (/^(先手番|下手番)/.test(trimmed)) { if (position) position.turn = 'sente'; continue; }
+    if (/^(後手番|上手番)/.test(trimmed)) { if (position) position.turn = 'gote'; continue; }
+    if (/^[+\-]-+\+?$|^[９9]\s/.test(trimmed) || trimmed.startsWith('手数') || trimmed.startsWith('まで')) continue;
+
+    const moveLine = /^(\d+)\s+(.*)$/.exec(trimmed.replace(/同[\s　]+/, '同'));
+    if (!moveLine) throw importError(`解釈できない行です: ${trimmed}`, lineNo, steps.length);
+    const number = Number(moveLine[1]);
+    const moveText = moveLine[2].split(/\s+/)[0];
+    if (KIF_END_WORDS.some(word => moveText.startsWith(word))) break;
+    if (firstMoveNumber === null) firstMoveNumber = number;
+    if (number !== firstMoveNumber + steps.length) throw importError(`手数 ${number} が連続していません`, lineNo, steps.length + 1);
+
+    const m = KIF_MOVE_RE.exec(moveText);
+    if (!m) throw importError(`指し手「${moveText}」を解釈できません`, lineNo, steps.length + 1);
+    const [, file, rank, name, suffix, fromFile, fromRank] = m;
+    steps.push({
+      text: moveText,
+      line: lineNo,
+      toMove: (board, hands, turn, prevMove) => {
+        const type = KIF_PIECE_NAMES[name];
+        let to;
+        if (file) to = { x: 9 - parseDigit(file), y: parseDigit(rank) - 1 };
+        else if (prevMove) to = prevMove.to;
+        else return null;
+        if (!fromFile) {
+          // 打が省略されていても、移動元がなければ打とみなす
+          if (suffix && suffix !== '打') return null;
+          return { from: 'hand', to, piece: type, drop: true, isPromoted: false };
+        }
+        const from = { x: 9 - Number(fromFile), y: Number(fromRank) - 1 };
+        const piece = board[from.y] && board[from.y][from.x];
+        if (!piece || piece.type !== type) return null;
+        return { from, to, piece: piece.type, drop: false, isPromoted: suffix === '成' };
+      }
+    });
+  }
+
+  return playSteps(position || handicapPosition, steps);
+};
+
+const detectKifuFormat = (text) => {
+  const trimmed = text.trim();
+  if (/^(position\s|sfen\s|startpos\b)/.test(trimmed)) return 'usi';
+  const lines = trimmed.split(/\r?\n/).map(l => l.trim());
+  if (lines.some(l => /^(V2|PI|P[1-9]|[+-]\d{4}[A-Z]{2})/.test(l))) return 'csa';
+  return 'kif';
+};
+
+// 棋譜文字列を読み込み、開始局面・指し手列・最終局面を返す
+// 失敗時は line / moveNumber を持つ Error を投げる
+const importKifu = (text) => {
+  const format = detectKifuFormat(text);
+  let result;
+  if (format === 'usi') result = parseUSI(text);
+  else if (format === 'csa') result = parseCSA(text);
+  else result = parseKIF(text);
+  return { format, ...result };
+};
+
+module.exports = {
+  exportKifu,
+  importKifu,
+  formatMoveNotation,
+  SUPPORTED_FORMATS
+};
@@ -0,0 +1,121 @@
+// shogistack-server/moveTree.js
+
+// 検討用の指し手ツリー
+// nodes はIDで引けるフラットな形で持つ (JSONのままDBに保存できるように)
+// children[0] が本線、それ以外が変化。変化の先頭ノードには name を付けられる
+
+const ROOT_ID = 'root';
+
+const isSameMove = (a, b) => {
+  if (!a || !b) return false;
+  if (!!a.drop !== !!b.drop || a.piece !== b.piece || !!a.isPromoted !== !!b.isPromoted) return false;
+  if (a.to.x !== b.to.x || a.to.y !== b.to.y) return false;
+  return a.drop || (a.from.x === b.from.x && a.from.y === b.from.y);
+};
+
+const addChild = (tree, parentId, move, name = null) => {
+  const parent = tree.nodes[parentId];
+  if (!parent) return null;
+  const id = `n${tree.nextId++}`;
+  tree.nodes[id] = { id, parentId, move, children: [], name };
+  parent.children.push(id);
+  return tree.nodes[id];
+};
+
+// 既存の履歴を本線とするツリーを作る
+const createMoveTree = (history = []) => {
+  const tree = { nodes: { [ROOT_ID]: { id: ROOT_ID, parentId: null, move: null, children: [], name: null } }, currentId: ROOT_ID, nextId: 1 };
+  let parentId = ROOT_ID;
+  for (const move of history) parentId = addChild(tree, parentId, move).id;
+  tree.currentId = parentId;
+  return tree;
+};
+
+// ルートから指定ノードまでのノード列 (ルートは含まない)
+const getNodePath = (tree, nodeId) => {
+  const path = [];
+  let node = tree.nodes[nodeId];
+  while (node && node.id !== ROOT_ID) {
+    path.unshift(node);
+    node = tree.nodes[node.parentId];
+  }
+  return path;
+};
+
+const getPathMoves = (tree, nodeId) => getNodePath(tree, nodeId).map(node => node.move);
+
+// 本線 (常に children[0] をたどる)
+const getMainLine = (tree) => {
+  const moves = [];
+  let node = tree.nodes[ROOT_ID];
+  while (node.children.length > 0) {
+    node = tree.nodes[node.children[0]];
+    moves.push(node.move);
+  }
+  return moves;
+};
+
+// 指定ノードの祖先のうち ply 手目のノード (0 ならルート)
+const getAncestorAtPly = (tree, nodeId, ply) => {
+  if (ply <= 0) return tree.nodes[ROOT_ID];
+  const path = getNodePath(tree, nodeId);
+  return path[ply - 1] || null;
+};
+
+const findChildByMove = (tree, parentId, move) => {
+  const parent = tree.nodes[parentId];
+  if (!parent) return null;
+  const childId = parent.children.find(id => isSameMove(tree.nodes[id].move, move));
+  return childId ? tree.nodes[childId] : null;
+};
+
+// 指定ノードを含む手順を本線に昇格する (祖先すべてを children[0] に移動)
+const promoteToMainLine = (tree, nodeId) => {
+  let node = tree.nodes[nodeId];
+  if (!node || node.id === ROOT_ID) return false;
+  while (node.parentId) {
+    const parent = tree.nodes[node.parentId];
+    parent.children = [node.id, ...parent.children.filter(id => id !== node.id)];
+    node = parent;
+  }
+  return true;
+};
+
+const isDescendantOf = (tree, nodeId, ancestorId) => {
+  let node = tree.nodes[nodeId];
+  while (node) {
+    if (node.id === ancestorId) return true;
+    node = tree.nodes[node.parentId];
+  }
+  return false;
+};
+
+// 指定ノード以下を削除する (現在ノードが含まれていれば親に移す)
+const deleteBranch = (tree, nodeId) => {
+  const node = tree.nodes[nodeId];
+  if (!node || node.id === ROOT_ID) return false;
+  if (isDescendantOf(tree, tree.currentId, nodeId)) tree.currentId = node.parentId;
+  const parent = tree.nodes[node.parentId];
+  parent.children = parent.children.filter(id => id !== nodeId);
+  const stack = [nodeId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    stack.push(...tree.nodes[id].children);
+    delete tree.nodes[id];
+  }
+  return true;
+};
+
+module.exports = {
+  ROOT_ID,
+  isSameMove,
+  createMoveTree,
+  addChild,
+  getNodePath,
+  getPathMoves,
+  getMainLine,
+  getAncestorAtPly,
+  findChildByMove,
+  promoteToMainLine,
+  deleteBranch
+};
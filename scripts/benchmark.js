@@ -0,0 +1,70 @@
+// shogistack-server/scripts/benchmark.js
+
+// 王手・詰み判定と合法手生成の速度を測る
+//   npm run bench                          … 現在の gameUtils.js
+//   npm run bench -- /tmp/gameUtils.old.js … 別の gameUtils.js と比べる
+//     (例: git show <rev>:gameUtils.js > /tmp/gameUtils.old.js)
+
+const path = require('path');
+const current = require('../gameUtils');
+
+const baselinePath = process.argv[2];
+const baseline = baselinePath ? require(path.resolve(baselinePath)) : null;
+
+const MIN_DURATION_NS = 300n * 1000000n;
+
+// 局面は現在の fromSFEN で作る (盤の形式は共通)
+const POSITIONS = [
+  { name: '平手初期局面', sfen: 'lnsgkgsnl/1r5b1/ppppppppp/9/9/9/PPPPPPPPP/1B5R1/LNSGKGSNL b - 1' },
+  { name: '詰み (頭金)', sfen: '4k4/4G4/4P4/9/9/9/9/9/4K4 w - 1' },
+  { name: '王手 (合駒あり)', sfen: '4k4/9/9/9/9/9/9/9/4R3K w GSP 1' },
+  { name: '中盤の王手 (応手5通り)', sfen: '1n1g1s+P2/3g1k3/l1s3Bp1/p2p1pp1l/1pp1p3p/r4P3/NPPPPGPP1/1BG1K2SR/LS5NL w Np 1' },
+  // 1二歩打が打ち歩詰めになる局面
+  { name: '打ち歩詰め', sfen: '7lk/7p1/7G1/9/9/9/9/9/K8 b P 1', pawnDrop: { from: 'hand', to: { x: 8, y: 1 }, piece: 'Pawn', drop: true, isPromoted: false } },
+  { name: '合法手最多局面', sfen: 'R8/2K1S1SSk/4B4/9/9/9/9/9/1L1L1L3 b RBGSNLP3g3n17p 1' }
+];
+
+const CASES = [
+  { name: 'isKingInCheck', run: (utils, p) => utils.isKingInCheck(p.board, p.turn) },
+  { name: 'isCheckmate', run: (utils, p) => utils.isCheckmate(p.board, p.hands, p.turn) },
+  { name: 'generateLegalMoves', run: (utils, p) => utils.generateLegalMoves(p.board, p.hands, p.turn), available: (utils) => !!utils.generateLegalMoves },
+  { name: 'isValidMove (歩打ち)', run: (utils, p) => utils.isValidMove(p.board, p.hands, p.turn, p.pawnDrop), applies: (p) => !!p.pawnDrop }
+];
+
+// MIN_DURATION_NS 以上繰り返し、1回あたりのマイクロ秒を返す
+const measure = (fn) => {
+  for (let i = 0; i < 20; i++) fn();
+  const start = process.hrtime.bigint();
+  let runs = 0;
+  let elapsed = 0n;
+  while (elapsed < MIN_DURATION_NS) {
+    fn();
+    runs++;
+    elapsed = process.hrtime.bigint() - start;
+  }
+  return Number(elapsed) / runs / 1000;
+};
+
+const formatUs = (us) => (us >= 1000 ? `${(us / 1000).toFixed(2)} ms` : `${us.toFixed(2)} µs`);
+
+const rows = [];
+for (const { name, sfen, pawnDrop } of POSITIONS) {
+  const position = { ...current.fromSFEN(sfen), pawnDrop };
+  for (const c of CASES) {
+    if (c.applies && !c.applies(position)) continue;
+    const row = { 局面: name, 処理: c.name, 現在: formatUs(measure(() => c.run(current, position))) };
+    if (baseline) {
+      if (c.available && !c.available(baseline)) {
+        row.比較対象 = '-';
+      } else {
+        const base = measure(() => c.run(baseline, position));
+        const now = measure(() => c.run(current, position));
+        row.現在 = formatUs(now);
+        row.比較対象 = formatUs(base);
+        row.倍率 = `${(base / now).toFixed(1)}x`;
+      }
+    }
+    rows.push(row);
+  }
+}
+console.table(rows);
@@ -0,0 +1,67 @@
+// shogistack-server/test/moveTree.test.js
+// 検討用の指し手ツリーの検証: 変化の追加・本線への昇格・削除
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT_ID, createMoveTree, addChild, getMainLine, getPathMoves, findChildByMove, promoteToMainLine, deleteBranch } = require('../moveTree');
+
+const move = (fx, fy, tx, ty, piece = 'Pawn') => ({ from: { x: fx, y: fy }, to: { x: tx, y: ty }, piece, drop: false, isPromoted: false });
+
+// 本線 ▲７六歩 △３四歩 ▲２六歩、2手目に変化 △８四歩 ▲６八銀
+const M1 = move(2, 6, 2, 5);
+const M2 = move(6, 2, 6, 3);
+const M3 = move(7, 6, 7, 5);
+const V2 = move(1, 2, 1, 3);
+const V3 = move(2, 8, 3, 7, 'Silver');
+
+const buildTree = () => {
+  const tree = createMoveTree([M1, M2, M3]);
+  const first = tree.nodes[tree.nodes[ROOT_ID].children[0]];
+  const v2 = addChild(tree, first.id, V2, '居飛車');
+  const v3 = addChild(tree, v2.id, V3);
+  return { tree, first, v2, v3 };
+};
+
+test('the history becomes the main line and variations are added as later children', () => {
+  const { tree, first, v2, v3 } = buildTree();
+  assert.deepStrictEqual(getMainLine(tree), [M1, M2, M3]);
+  assert.strictEqual(first.children.length, 2);
+  assert.strictEqual(first.children[1], v2.id);
+  assert.deepStrictEqual(getPathMoves(tree, v3.id), [M1, V2, V3]);
+  assert.strictEqual(findChildByMove(tree, first.id, { ...V2 }), v2);
+  assert.strictEqual(findChildByMove(tree, first.id, M3), null);
+});
+
+test('promoting a node makes its whole line the main line', () => {
+  const { tree, first, v2, v3 } = buildTree();
+  assert.strictEqual(promoteToMainLine(tree, v3.id), true);
+  assert.deepStrictEqual(getMainLine(tree), [M1, V2, V3]);
+  // 元の本線は変化として残る
+  assert.strictEqual(first.children.length, 2);
+  assert.deepStrictEqual(getPathMoves(tree, first.children[1]), [M1, M2]);
+  assert.strictEqual(v2.name, '居飛車');
+  assert.strictEqual(promoteToMainLine(tree, ROOT_ID), false);
+  assert.strictEqual(promoteToMainLine(tree, 'missing'), false);
+});
+
+test('deleting a branch removes its descendants and moves the current node up', () => {
+  const { tree, first, v2, v3 } = buildTree();
+  tree.currentId = v3.id;
+  assert.strictEqual(deleteBranch(tree, v2.id), true);
+  assert.strictEqual(tree.nodes[v2.id], undefined);
+  assert.strictEqual(tree.nodes[v3.id], undefined);
+  assert.strictEqual(tree.currentId, first.id);
+  assert.strictEqual(first.children.length, 1);
+  assert.deepStrictEqual(getMainLine(tree), [M1, M2, M3]);
+});
+
+test('deleting a main line node leaves the next variation as the main line', () => {
+  const { tree, first, v2 } = buildTree();
+  const mainSecond = first.children[0];
+  const lastId = tree.currentId;
+  assert.strictEqual(deleteBranch(tree, mainSecond), true);
+  assert.strictEqual(first.children[0], v2.id);
+  assert.deepStrictEqual(getMainLine(tree), [M1, V2, V3]);
+  assert.strictEqual(tree.nodes[lastId], undefined);
+  assert.strictEqual(tree.currentId, first.id);
+  assert.strictEqual(deleteBranch(tree, ROOT_ID), false);
+});
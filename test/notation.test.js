@@ -0,0 +1,42 @@
+// shogistack-server/test/notation.test.js
+// 指し手の日本語表記の検証: 打・同・不成と、同じ駒が複数あるときの 右/左/直/上/引/寄
+const test = require('node:test');
+const assert = require('node:assert');
+const { importKifu } = require('../kifu');
+
+const notationsOf = (usi) => importKifu(usi).moves.map(m => m.notation);
+const lastNotation = (usi) => notationsOf(usi).pop();
+
+test('drops are marked with 打 only when a board piece could also move there', () => {
+  assert.strictEqual(lastNotation('position sfen 4k4/9/9/9/9/9/9/9/K2G1G3 b G 1 moves G*5h'), '▲５八金打');
+  assert.strictEqual(lastNotation('position sfen 4k4/9/9/9/9/9/9/9/K8 b G 1 moves G*5h'), '▲５八金');
+});
+
+test('右 and 左 are taken from the mover\'s point of view', () => {
+  const sente = 'position sfen 4k4/9/9/9/9/9/9/9/K2G1G3 b - 1 moves';
+  assert.strictEqual(lastNotation(`${sente} 4i5h`), '▲５八金右');
+  assert.strictEqual(lastNotation(`${sente} 6i5h`), '▲５八金左');
+  const gote = 'position sfen 3g1g2k/9/9/9/9/9/9/9/K8 w - 1 moves';
+  assert.strictEqual(lastNotation(`${gote} 4a5b`), '△５二金左');
+  assert.strictEqual(lastNotation(`${gote} 6a5b`), '△５二金右');
+});
+
+test('直 is used for a straight move forward among pieces moving up', () => {
+  const position = 'position sfen 4k4/9/9/9/9/3SSS3/9/9/4K4 b - 1 moves';
+  assert.strictEqual(lastNotation(`${position} 5f5e`), '▲５五銀直');
+  assert.strictEqual(lastNotation(`${position} 4f5e`), '▲５五銀右');
+});
+
+test('上, 引 and 寄 distinguish pieces by direction of movement', () => {
+  const below = 'position sfen 4k4/9/9/9/5G3/4G4/9/9/4K4 b - 1 moves';
+  assert.strictEqual(lastNotation(`${below} 5f5e`), '▲５五金上');
+  assert.strictEqual(lastNotation(`${below} 4e5e`), '▲５五金寄');
+  const above = 'position sfen 4k4/9/9/4G4/5G3/9/9/9/4K4 b - 1 moves';
+  assert.strictEqual(lastNotation(`${above} 5d5e`), '▲５五金引');
+  assert.strictEqual(lastNotation(`${above} 4e5e`), '▲５五金寄');
+});
+
+test('recaptures use 同 and declined promotions use 不成', () => {
+  assert.deepStrictEqual(notationsOf('position startpos moves 7g7f 3c3d 8h2b 3a2b'), ['▲７六歩', '△３四歩', '▲２二角不成', '△同　銀']);
+  assert.deepStrictEqual(notationsOf('position startpos moves 7g7f 3c3d 8h2b+ 3a2b'), ['▲７六歩', '△３四歩', '▲２二角成', '△同　銀']);
+});
@@ -0,0 +1,19 @@
+// shogistack-server/test/perft.test.js
+// 指し手生成の検証: 平手初期局面からの perft を既知の値と照合する
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStartPosition, perft } = require('../gameUtils');
+
+const EXPECTED = [
+  { depth: 1, nodes: 30 },
+  { depth: 2, nodes: 900 },
+  { depth: 3, nodes: 25470 },
+  { depth: 4, nodes: 719731 }
+];
+
+for (const { depth, nodes } of EXPECTED) {
+  test(`perft(${depth}) from the initial position is ${nodes}`, () => {
+    assert.strictEqual(perft(createStartPosition(null), depth), nodes);
+  });
+}
@@ -0,0 +1,73 @@
+// shogistack-server/test/timeControl.test.js
+// 持ち時間の検証: フィッシャーの加算、秒読みの回数、カナダ式の規定手数
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTimeControls, createClocks, consumeTime, completeMove } = require('../timeControl');
+
+// 1手分の時間を使って指す (時間切れなら completeMove はしない)
+const play = (control, clock, elapsedMs) => {
+  const result = consumeTime(control, clock, elapsedMs);
+  return result.flagged ? result : { clock: completeMove(control, result.clock), flagged: false };
+};
+
+test('legacy settings fall back to byoyomi with one period', () => {
+  const controls = getTimeControls({ initial: 300, byoyomi: 30 });
+  assert.deepStrictEqual(controls.sente, { mode: 'byoyomi', initial: 300, byoyomi: 30, periods: 1 });
+  assert.deepStrictEqual(createClocks({ initial: 300, byoyomi: 30 }).gote, { mainMs: 300000, byoyomiMs: 30000, periodsLeft: 1 });
+});
+
+test('fischer adds the increment after each move and flags when the main time runs out', () => {
+  const settings = { timeControl: { mode: 'fischer', initial: 60, increment: 10 } };
+  const control = getTimeControls(settings).sente;
+  let { clock } = play(control, createClocks(settings).sente, 15000);
+  assert.strictEqual(clock.mainMs, 55000);
+  ({ clock } = play(control, clock, 55000));
+  // 残り時間ちょうどまでは指せる
+  assert.strictEqual(clock.mainMs, 10000);
+  const result = consumeTime(control, clock, 10001);
+  assert.strictEqual(result.flagged, true);
+  assert.strictEqual(result.clock.mainMs, 0);
+});
+
+test('byoyomi resets after each move and uses up periods only when exceeded', () => {
+  const settings = { timeControl: { mode: 'byoyomi', initial: 10, byoyomi: 30, periods: 3 } };
+  const control = getTimeControls(settings).sente;
+  let { clock } = play(control, createClocks(settings).sente, 25000);
+  // 持ち時間を使い切って秒読みに入っても、30秒以内なら回数は減らない
+  assert.deepStrictEqual(clock, { mainMs: 0, byoyomiMs: 30000, periodsLeft: 3 });
+  ({ clock } = play(control, clock, 30000));
+  assert.strictEqual(clock.periodsLeft, 3);
+  // 1回分を超えると次の秒読みに入る
+  ({ clock } = play(control, clock, 45000));
+  assert.deepStrictEqual(clock, { mainMs: 0, byoyomiMs: 30000, periodsLeft: 2 });
+  const during = consumeTime(control, clock, 40000);
+  assert.deepStrictEqual(during, { clock: { mainMs: 0, byoyomiMs: 20000, periodsLeft: 1 }, flagged: false });
+  const flagged = consumeTime(control, clock, 60001);
+  assert.strictEqual(flagged.flagged, true);
+  assert.strictEqual(flagged.clock.periodsLeft, 0);
+});
+
+test('canadian overtime requires the period moves within the period time', () => {
+  const settings = { timeControl: { mode: 'canadian', initial: 60, periodMoves: 3, periodTime: 30 } };
+  const control = getTimeControls(settings).sente;
+  let { clock } = play(control, createClocks(settings).sente, 50000);
+  assert.deepStrictEqual(clock, { mainMs: 10000, periodMs: 30000, movesLeft: 3, overtime: false });
+  // 持ち時間の残りと合わせて使う
+  ({ clock } = play(control, clock, 20000));
+  assert.deepStrictEqual(clock, { mainMs: 0, periodMs: 20000, movesLeft: 2, overtime: true });
+  ({ clock } = play(control, clock, 5000));
+  assert.deepStrictEqual(clock, { mainMs: 0, periodMs: 15000, movesLeft: 1, overtime: true });
+  // 規定手数を指し終えると規定時間が戻る
+  ({ clock } = play(control, clock, 15000));
+  assert.deepStrictEqual(clock, { mainMs: 0, periodMs: 30000, movesLeft: 3, overtime: true });
+  const result = consumeTime(control, clock, 30001);
+  assert.strictEqual(result.flagged, true);
+  assert.strictEqual(result.clock.periodMs, 0);
+});
+
+test('time controls can differ between sente and gote', () => {
+  const settings = { timeControl: { sente: { mode: 'fischer', initial: 300, increment: 5 }, gote: { mode: 'byoyomi', initial: 60, byoyomi: 10 } } };
+  const clocks = createClocks(settings);
+  assert.deepStrictEqual(clocks.sente, { mainMs: 300000 });
+  assert.deepStrictEqual(clocks.gote, { mainMs: 60000, byoyomiMs: 10000, periodsLeft: 1 });
+});
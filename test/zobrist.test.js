@@ -0,0 +1,76 @@
+// shogistack-server/test/zobrist.test.js
+// 局面ハッシュの検証: 差分更新 (updatePositionHash) が局面全体からの計算 (getPositionHash) と一致すること
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStartPosition, generateLegalMoves, applyMove, getPositionHash, updatePositionHash, fromSFEN } = require('../gameUtils');
+
+// 再現できるように固定シードの乱数で指し手を選ぶ
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const hashOf = (position) => getPositionHash(position.board, position.hands, position.turn);
+
+const playRandomGame = (start, seed, maxPlies) => {
+  const random = createRandom(seed);
+  const positions = [start];
+  const hashes = [hashOf(start)];
+  let position = start;
+  for (let ply = 0; ply < maxPlies; ply++) {
+    const moves = generateLegalMoves(position.board, position.hands, position.turn);
+    if (moves.length === 0) break;
+    const move = moves[Math.floor(random() * moves.length)];
+    const hash = updatePositionHash(hashes[hashes.length - 1], position.board, position.hands, move, position.turn);
+    position = applyMove(position.board, position.hands, move, position.turn);
+    positions.push(position);
+    hashes.push(hash);
+  }
+  return { positions, hashes };
+};
+
+test('incremental hash matches the full hash over random games', () => {
+  for (const seed of [1, 7, 42, 2024]) {
+    const { positions, hashes } = playRandomGame(createStartPosition(null), seed, 200);
+    positions.forEach((position, ply) => {
+      assert.strictEqual(hashes[ply], hashOf(position), `seed ${seed}, ply ${ply}`);
+    });
+  }
+});
+
+test('incremental hash handles promotions, captures of promoted pieces and drops', () => {
+  // 成り・成り駒の取り・持ち駒の枚数の増減が入る局面
+  const start = fromSFEN('4k4/1+P2G4/2S6/9/9/9/6s2/4+b4/4K4 b RP2p 1');
+  for (const seed of [3, 11, 99]) {
+    const { positions, hashes } = playRandomGame(start, seed, 120);
+    positions.forEach((position, ply) => {
+      assert.strictEqual(hashes[ply], hashOf(position), `seed ${seed}, ply ${ply}`);
+    });
+  }
+});
+
+test('undoing moves restores the earlier hashes', () => {
+  const { positions, hashes } = playRandomGame(createStartPosition(null), 5, 60);
+  // 待ったは局面と一緒に保存しておいたハッシュへ戻すので、戻した局面から計算し直しても同じ値になる
+  for (let ply = hashes.length - 1; ply >= 0; ply--) {
+    assert.strictEqual(hashOf(positions[ply]), hashes[ply]);
+  }
+});
+
+test('moving pieces back and forth returns to the same hash', () => {
+  let position = createStartPosition(null);
+  const initial = hashOf(position);
+  let hash = initial;
+  const moves = [
+    { from: { x: 7, y: 7 }, to: { x: 6, y: 7 }, piece: 'Rook', isPromoted: false },
+    { from: { x: 1, y: 1 }, to: { x: 2, y: 1 }, piece: 'Rook', isPromoted: false },
+    { from: { x: 6, y: 7 }, to: { x: 7, y: 7 }, piece: 'Rook', isPromoted: false },
+    { from: { x: 2, y: 1 }, to: { x: 1, y: 1 }, piece: 'Rook', isPromoted: false }
+  ];
+  for (const move of moves) {
+    hash = updatePositionHash(hash, position.board, position.hands, move, position.turn);
+    position = applyMove(position.board, position.hands, move, position.turn);
+  }
+  assert.strictEqual(hash, initial);
+  assert.strictEqual(hashOf(position), initial);
+});
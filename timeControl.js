@@ -0,0 +1,163 @@
+// shogistack-server/timeControl.js
+
+// 持ち時間の方式 (設定は秒単位、時計の残り時間はミリ秒単位)
+//   byoyomi : 持ち時間 + 秒読み。periods 回分の秒読みを使い切ると時間切れ
+//   fischer : 持ち時間 + 1手指すごとに increment 秒加算
+//   canadian: 持ち時間を使い切った後は periodMoves 手を periodTime 秒以内に指す
+// settings.timeControl に { mode, ... } を指定すると両者共通、{ sente: {...}, gote: {...} } で先後別 (時間差ハンデ)
+// 未指定なら従来の settings.initial / settings.byoyomi を使う
+
+const TIME_CONTROL_MODES = ['byoyomi', 'fischer', 'canadian'];
+
+const toSeconds = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+};
+
+const normalizeTimeControl = (config = {}) => {
+  const mode = TIME_CONTROL_MODES.includes(config.mode) ? config.mode : 'byoyomi';
+  const initial = toSeconds(config.initial, 600);
+  switch (mode) {
+    case 'fischer':
+      return { mode, initial, increment: toSeconds(config.increment) };
+    case 'canadian':
+      return { mode, initial, periodMoves: Math.max(1, toSeconds(config.periodMoves, 1)), periodTime: toSeconds(config.periodTime) };
+    default:
+      return { mode, initial, byoyomi: toSeconds(config.byoyomi), periods: Math.max(1, toSeconds(config.periods, 1)) };
+  }
+};
+
+// 部屋の設定から先後それぞれの持ち時間設定を求める
+const getTimeControls = (settings = {}) => {
+  const legacy = { mode: 'byoyomi', initial: settings.initial, byoyomi: settings.byoyomi };
+  const tc = settings.timeControl;
+  if (!tc) return { sente: normalizeTimeControl(legacy), gote: normalizeTimeControl(legacy) };
+  if (tc.sente || tc.gote) {
+    return { sente: normalizeTimeControl(tc.sente || legacy), gote: normalizeTimeControl(tc.gote || legacy) };
+  }
+  return { sente: normalizeTimeControl(tc), gote: normalizeTimeControl(tc) };
+};
+
+const SEC = 1000;
+
+// 対局開始時の時計
+const createClock = (control) => {
+  switch (control.mode) {
+    case 'fischer':
+      return { mainMs: control.initial * SEC };
+    case 'canadian':
+      return { mainMs: control.initial * SEC, periodMs: control.periodTime * SEC, movesLeft: control.periodMoves, overtime: false };
+    default:
+      return { mainMs: control.initial * SEC, byoyomiMs: control.byoyomi * SEC, periodsLeft: control.periods };
+  }
+};
+
+const createClocks = (settings) => {
+  const controls = getTimeControls(settings);
+  return { sente: createClock(controls.sente), gote: createClock(controls.gote) };
+};
+
+// 経過時間 (ミリ秒) を差し引いた時計を返す (元の時計は変更しない)
+// flagged: 時間切れ。残り時間ちょうどまでは指せる
+const consumeTime = (control, clock, elapsedMs) => {
+  const next = { ...clock };
+  let rest = Math.max(0, elapsedMs);
+  const fromMain = Math.min(next.mainMs, rest);
+  next.mainMs -= fromMain;
+  rest -= fromMain;
+
+  switch (control.mode) {
+    case 'fischer':
+      return { clock: next, flagged: rest > 0 };
+    case 'canadian':
+      if (next.mainMs > 0) return { clock: next, flagged: false };
+      next.overtime = true;
+      if (rest > next.periodMs) { next.periodMs = 0; return { clock: next, flagged: true }; }
+      next.periodMs -= rest;
+      return { clock: next, flagged: false };
+    default:
+      // 秒読みを超えた分だけ回数を消費する
+      while (rest > next.byoyomiMs) {
+        rest -= next.byoyomiMs;
+        next.periodsLeft -= 1;
+        if (next.periodsLeft <= 0) { next.periodsLeft = 0; next.byoyomiMs = 0; return { clock: next, flagged: true }; }
+        next.byoyomiMs = control.byoyomi * SEC;
+      }
+      next.byoyomiMs -= rest;
+      return { clock: next, flagged: false };
+  }
+};
+
+// 着手後の時計 (秒読みの戻し・加算・カナダ式の手数)
+const completeMove = (control, clock) => {
+  const next = { ...clock };
+  switch (control.mode) {
+    case 'fischer':
+      next.mainMs += control.increment * SEC;
+      break;
+    case 'canadian':
+      if (next.overtime) {
+        next.movesLeft -= 1;
+        if (next.movesLeft <= 0) { next.movesLeft = control.periodMoves; next.periodMs = control.periodTime * SEC; }
+      }
+      break;
+    default:
+      next.byoyomiMs = control.byoyomi * SEC;
+      break;
+  }
+  return next;
+};
+
+// 秒読み (カナダ式は残りの規定時間) の残りミリ秒
+const getOvertimeMs = (clock) => (typeof clock.byoyomiMs === 'number' ? clock.byoyomiMs : typeof clock.periodMs === 'number' ? clock.periodMs : 0);
+
+// 旧形式 (秒単位の main / byoyomi / period) の時計をミリ秒に移し替える
+const migrateClock = (clock) => {
+  if (typeof clock.mainMs === 'number') return clock;
+  const { main, byoyomi, period, ...rest } = clock;
+  const next = { ...rest, mainMs: (main || 0) * SEC };
+  if (typeof byoyomi === 'number') next.byoyomiMs = byoyomi * SEC;
+  if (typeof period === 'number') next.periodMs = period * SEC;
+  return next;
+};
+
+// クライアントに送る時計の状態
+// clock はミリ秒。serverTime 時点の値なので、running 側だけ経過時間を引いて補間できる
+// times / currentByoyomi は従来の表示用 (秒、端数は切り上げ)
+const buildClockState = (clocks, controls, running = null) => {
+  const toSec = (ms) => Math.ceil(ms / SEC);
+  return {
+    times: { sente: toSec(clocks.sente.mainMs), gote: toSec(clocks.gote.mainMs) },
+    currentByoyomi: { sente: toSec(getOvertimeMs(clocks.sente)), gote: toSec(getOvertimeMs(clocks.gote)) },
+    clock: clocks,
+    timeControl: controls,
+    running,
+    serverTime: Date.now()
+  };
+};
+
+// 棋譜の持ち時間欄 (例: 10分+30秒, 10分+30秒×3, 5分+1手10秒加算, 10分+10手300秒)
+const formatMinutes = (sec) => `${Math.floor(sec / 60)}分${sec % 60 ? `${sec % 60}秒` : ''}`;
+
+const describeTimeControl = (control) => {
+  switch (control.mode) {
+    case 'fischer': return `${formatMinutes(control.initial)}+1手${control.increment}秒加算`;
+    case 'canadian': return `${formatMinutes(control.initial)}+${control.periodMoves}手${control.periodTime}秒`;
+    default: return `${formatMinutes(control.initial)}+${control.byoyomi}秒${control.periods > 1 ? `×${control.periods}` : ''}`;
+  }
+};
+
+const isSameTimeControl = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+module.exports = {
+  TIME_CONTROL_MODES,
+  getTimeControls,
+  createClocks,
+  consumeTime,
+  completeMove,
+  buildClockState,
+  getOvertimeMs,
+  migrateClock,
+  describeTimeControl,
+  isSameTimeControl
+};
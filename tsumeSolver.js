@@ -0,0 +1,161 @@
+// shogistack-server/tsumeSolver.js
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { generateLegalMoves, applyMove, isKingInCheck, getPositionHash, updatePositionHash } = require('./gameUtils');
+
+const DEFAULT_MAX_NODES = 200000;
+const DEFAULT_TIME_LIMIT_MS = 5000;
+const MAX_MATE_LENGTH = 31;
+const WORKER_KILL_GRACE_MS = 2000;
+
+// 攻め方 attacker の詰み探索 (置換表と探索量の上限は1回の探索で共有する)
+// 攻め方は王手だけを指し、玉方はすべての応手を調べる AND/OR 探索。玉方は最も長く逃れる応手を選ぶ
+const createMateSearch = (attacker, { maxNodes = DEFAULT_MAX_NODES, timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) => {
+  const defender = attacker === 'sente' ? 'gote' : 'sente';
+  const startedAt = Date.now();
+  const deadline = startedAt + timeLimitMs;
+  const proved = new Map(); // 局面ハッシュ → 詰み手順
+  const disproved = new Map(); // 局面ハッシュ → この手数以内では詰まない
+  let nodes = 0;
+  let aborted = false;
+
+  // 探索量の上限に達したら aborted を立てる (時刻は1024ノードごとに見る)
+  const tick = () => {
+    nodes++;
+    if (nodes > maxNodes || ((nodes & 1023) === 0 && Date.now() > deadline)) aborted = true;
+    return aborted;
+  };
+
+  // 攻め方の手番: depth 手以内に詰ませる手順 (なければ null)
+  const attack = (pos, hash, depth) => {
+    const known = proved.get(hash);
+    if (known && known.length <= depth) return known;
+    if ((disproved.get(hash) || 0) >= depth || tick()) return null;
+
+    const children = [];
+    for (const move of generateLegalMoves(pos.board, pos.hands, attacker)) {
+      const next = applyMove(pos.board, pos.hands, move, attacker);
+      if (!isKingInCheck(next.board, defender)) continue;
+      const replies = generateLegalMoves(next.board, next.hands, defender);
+      if (replies.length === 0) {
+        proved.set(hash, [move]);
+        return [move];
+      }
+      children.push({ move, next, replies });
+    }
+
+    if (depth >= 3) {
+      // 応手の少ない王手から調べる
+      children.sort((a, b) => a.replies.length - b.replies.length);
+      for (const { move, next, replies } of children) {
+        const line = defend(next, updatePositionHash(hash, pos.board, pos.hands, move, attacker), replies, depth - 1);
+        if (aborted) return null;
+        if (line) {
+          const pv = [move, ...line];
+          proved.set(hash, pv);
+          return pv;
+        }
+      }
+    }
+    disproved.set(hash, depth);
+    return null;
+  };
+
+  // 玉方の手番: どう応じても depth 手以内に詰むなら、最も長く逃れる手順 (逃れがあれば null)
+  const defend = (pos, hash, replies, depth) => {
+    let longest = null;
+    for (const reply of replies) {
+      if (tick()) return null;
+      const next = applyMove(pos.board, pos.hands, reply, defender);
+      const line = attack(next, updatePositionHash(hash, pos.board, pos.hands, reply, defender), depth - 1);
+      if (!line) return null;
+      if (!longest || line.length + 1 > longest.length) longest = [reply, ...line];
+    }
+    return longest;
+  };
+
+  const isAborted = () => aborted;
+  const finish = (result) => ({ ...result, nodes, timeMs: Date.now() - startedAt });
+  const notFound = (searchedLength) => finish({ found: false, reason: aborted ? 'budget_exceeded' : 'no_mate', searchedLength });
+  return { defender, attack, defend, isAborted, finish, notFound };
+};
+
+// 手番側 (攻め方) の詰みを探す。position は { board, hands, turn }
+// 1手詰, 3手詰, ... と反復深化で調べるので見つかる手順は最短手数の詰み
+// 結果: { found: true, moves, nodes, timeMs } / { found: false, reason: 'no_mate' | 'budget_exceeded', searchedLength, nodes, timeMs }
+const solveMate = (position, options = {}) => {
+  const { maxLength = MAX_MATE_LENGTH } = options;
+  const search = createMateSearch(position.turn, options);
+  const rootHash = getPositionHash(position.board, position.hands, position.turn);
+  let searchedLength = 0;
+  for (let depth = 1; depth <= maxLength; depth += 2) {
+    const moves = search.attack(position, rootHash, depth);
+    if (moves) return search.finish({ found: true, moves });
+    if (search.isAborted()) break;
+    searchedLength = depth;
+  }
+  return search.notFound(searchedLength);
+};
+
+// 手番側が move を指したとき、玉方がどう応じても maxLength 手以内 (move を含む) に詰むかを調べる (詰将棋の別解の判定用)
+// 詰むなら moves は move から始まる最短の手順。王手でない手は reason: 'not_check'
+const solveMateAfterMove = (position, move, options = {}) => {
+  const { maxLength = MAX_MATE_LENGTH } = options;
+  const search = createMateSearch(position.turn, options);
+  const next = applyMove(position.board, position.hands, move, position.turn);
+  if (!isKingInCheck(next.board, search.defender)) return search.finish({ found: false, reason: 'not_check', searchedLength: 0 });
+  const replies = generateLegalMoves(next.board, next.hands, search.defender);
+  if (replies.length === 0) return search.finish({ found: true, moves: [move] });
+
+  const hash = updatePositionHash(getPositionHash(position.board, position.hands, position.turn), position.board, position.hands, move, position.turn);
+  let searchedLength = 1;
+  for (let depth = 3; depth <= maxLength; depth += 2) {
+    const line = search.defend(next, hash, replies, depth - 1);
+    if (line) return search.finish({ found: true, moves: [move, ...line] });
+    if (search.isAborted()) break;
+    searchedLength = depth;
+  }
+  return search.notFound(searchedLength);
+};
+
+// 別スレッドで詰み探索を行う (メインスレッドの対局タイマーを止めないように)
+// callback(err, result) は1回だけ呼ばれる。cancel() で打ち切った場合は呼ばれない
+const runInWorker = (data, callback) => {
+  const { board, hands, turn } = data.position;
+  const worker = new Worker(__filename, { workerData: { ...data, position: { board, hands, turn } } });
+  let done = false;
+
+  const finish = (err, result) => {
+    if (done) return;
+    done = true;
+    clearTimeout(killTimer);
+    worker.terminate();
+    callback(err, result);
+  };
+
+  // 時間制限を過ぎても結果が返らなければ強制終了
+  const killTimer = setTimeout(() => finish(new Error('Mate search timed out')), (data.options.timeLimitMs || DEFAULT_TIME_LIMIT_MS) + WORKER_KILL_GRACE_MS);
+  worker.on('message', (result) => finish(null, result));
+  worker.on('error', (e) => finish(e));
+  worker.on('exit', (code) => finish(new Error(`Mate search worker exited (code ${code})`)));
+
+  return {
+    cancel: () => {
+      if (done) return;
+      done = true;
+      clearTimeout(killTimer);
+      worker.terminate();
+    }
+  };
+};
+
+const startMateSearch = (position, options, callback) => runInWorker({ position, options }, callback);
+
+const startMateCheck = (position, move, options, callback) => runInWorker({ position, move, options }, callback);
+
+if (!isMainThread && workerData && workerData.position) {
+  const { position, move, options } = workerData;
+  parentPort.postMessage(move ? solveMateAfterMove(position, move, options) : solveMate(position, options));
+}
+
+module.exports = { solveMate, solveMateAfterMove, startMateSearch, startMateCheck };
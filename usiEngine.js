@@ -0,0 +1,189 @@
+// shogistack-server/usiEngine.js
+
+const { spawn } = require('child_process');
+const path = require('path');
+const EventEmitter = require('events');
+const { createStartPosition, toSFEN, toUsiMove } = require('./gameUtils');
+
+const HANDSHAKE_TIMEOUT_MS = 10000;
+const INFO_FLUSH_INTERVAL_MS = 200;
+
+// 開始局面と履歴から USI の position コマンドを組み立てる
+const buildPositionCommand = (startPosition, history) => {
+  const moves = history.map(toUsiMove);
+  let cmd = 'position startpos';
+  if (startPosition) {
+    const start = createStartPosition(startPosition);
+    cmd = `position sfen ${toSFEN(start.board, start.hands, start.turn, 1)}`;
+  }
+  return moves.length > 0 ? `${cmd} moves ${moves.join(' ')}` : cmd;
+};
+
+// "Threads=2,USI_Hash=256" 形式の設定文字列 → { Threads: '2', USI_Hash: '256' }
+const parseEngineOptions = (str) => {
+  const options = {};
+  if (!str) return options;
+  for (const pair of str.split(',')) {
+    const idx = pair.indexOf('=');
+    if (idx <= 0) continue;
+    options[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+  }
+  return options;
+};
+
+// info 行の解析 (score は手番側から見た値)
+const parseInfoLine = (line) => {
+  const tokens = line.trim().split(/\s+/).slice(1);
+  const info = {};
+  for (let i = 0; i < tokens.length; i++) {
+    const key = tokens[i];
+    switch (key) {
+      case 'depth': case 'seldepth': case 'time': case 'nodes': case 'nps': case 'multipv': case 'hashfull':
+        info[key] = Number(tokens[++i]);
+        break;
+      case 'score': {
+        const type = tokens[++i];
+        const raw = tokens[++i];
+        if (type === 'cp') {
+          info.score = { type: 'cp', value: Number(raw) };
+        } else if (type === 'mate') {
+          // "mate +" / "mate -" のように手数が省略される場合がある
+          const value = raw === '+' || raw === '-' ? null : Number(raw);
+          info.score = { type: 'mate', value, winning: !raw.startsWith('-') };
+        }
+        if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') info.bound = tokens[++i];
+        break;
+      }
+      case 'pv':
+        info.pv = tokens.slice(i + 1);
+        i = tokens.length;
+        break;
+      case 'string':
+        info.string = tokens.slice(i + 1).join(' ');
+        i = tokens.length;
+        break;
+      default:
+        break;
+    }
+  }
+  return info;
+};
+
+// ローカルのUSIエンジンを起動し、検討 (go infinite) を行う
+// イベント: 'ready', 'info', 'bestmove', 'error', 'exit'
+const createUsiEngine = ({ enginePath, args = [], options = {} }) => {
+  const engine = new EventEmitter();
+  let state = 'starting'; // starting → idle ⇄ searching → stopping → exited
+  let pending = null; // 探索中に次の局面が来た場合に保留する { command, meta }
+  let currentMeta = null;
+  let lineBuffer = '';
+  let latestInfo = new Map(); // multipv → info
+  let flushTimer = null;
+
+  const child = spawn(enginePath, args, { cwd: path.dirname(enginePath), stdio: ['pipe', 'pipe', 'ignore'] });
+
+  const send = (cmd) => {
+    if (state === 'exited' || !child.stdin.writable) return;
+    child.stdin.write(`${cmd}\n`);
+  };
+
+  const handshakeTimer = setTimeout(() => {
+    engine.emit('error', new Error('USI handshake timed out'));
+    engine.quit();
+  }, HANDSHAKE_TIMEOUT_MS);
+
+  const flushInfo = () => {
+    flushTimer = null;
+    if (latestInfo.size === 0) return;
+    const lines = Array.from(latestInfo.values()).sort((a, b) => (a.multipv || 1) - (b.multipv || 1));
+    latestInfo = new Map();
+    engine.emit('info', { ...currentMeta, lines });
+  };
+
+  const startSearch = ({ command, meta }) => {
+    currentMeta = meta;
+    latestInfo = new Map();
+    send(command);
+    send('go infinite');
+    state = 'searching';
+  };
+
+  const handleLine = (line) => {
+    if (line === 'usiok') {
+      for (const [name, value] of Object.entries(options)) send(`setoption name ${name} value ${value}`);
+      send('isready');
+    } else if (line === 'readyok' && state === 'starting') {
+      clearTimeout(handshakeTimer);
+      send('usinewgame');
+      state = 'idle';
+      engine.emit('ready');
+      if (pending) { const next = pending; pending = null; startSearch(next); }
+    } else if (line.startsWith('info ') && state === 'searching') {
+      const info = parseInfoLine(line);
+      if (!info.pv && !info.score) return;
+      latestInfo.set(info.multipv || 1, info);
+      if (!flushTimer) flushTimer = setTimeout(flushInfo, INFO_FLUSH_INTERVAL_MS);
+    } else if (line.startsWith('bestmove')) {
+      const [, bestmove, , ponder] = line.split(/\s+/);
+      if (flushTimer) { clearTimeout(flushTimer); flushInfo(); }
+      const wasStopping = state === 'stopping';
+      state = 'idle';
+      if (pending) {
+        const next = pending; pending = null; startSearch(next);
+      } else if (!wasStopping) {
+        engine.emit('bestmove', { ...currentMeta, bestmove, ponder: ponder || null });
+      }
+    }
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    lineBuffer += chunk;
+    const lines = lineBuffer.split(/\r?\n/);
+    lineBuffer = lines.pop();
+    lines.forEach(l => { if (l.trim()) handleLine(l.trim()); });
+  });
+
+  child.on('error', (e) => {
+    clearTimeout(handshakeTimer);
+    engine.emit('error', e);
+    // 起動自体に失敗した場合は exit が来ないので、ここで終了扱いにする
+    if (!child.pid && state !== 'exited') {
+      state = 'exited';
+      engine.emit('exit', { code: null, signal: null });
+    }
+  });
+  child.on('exit', (code, signal) => {
+    clearTimeout(handshakeTimer);
+    if (flushTimer) clearTimeout(flushTimer);
+    state = 'exited';
+    engine.emit('exit', { code, signal });
+  });
+  child.stdin.on('error', () => {}); // 終了済みプロセスへの書き込みは無視
+
+  // 局面を解析する (探索中なら止めてから切り替える)
+  engine.analyze = (command, meta = {}) => {
+    const job = { command, meta };
+    if (state === 'idle') startSearch(job);
+    else if (state === 'searching') { pending = job; state = 'stopping'; send('stop'); }
+    else if (state === 'starting' || state === 'stopping') pending = job;
+  };
+
+  engine.stop = () => {
+    pending = null;
+    if (state === 'searching') { state = 'stopping'; send('stop'); }
+  };
+
+  engine.quit = () => {
+    if (state === 'exited') return;
+    pending = null;
+    send('quit');
+    // 応答しないエンジンは強制終了
+    setTimeout(() => { if (state !== 'exited') child.kill('SIGKILL'); }, 2000).unref();
+  };
+
+  send('usi');
+  return engine;
+};
+
+module.exports = { createUsiEngine, buildPositionCommand, parseEngineOptions };